@@ -0,0 +1,98 @@
+// Canonical amenity codes for the free-text amenities Google shows ("Free
+// Wi-Fi", "Wi-Fi gratis", "Kostenloses WLAN", ...). Each raw string maps onto
+// at most one code: entries are tried in order, so the specific ones (free
+// Wi-Fi, outdoor pool) come before the general ones (Wi-Fi, pool). Patterns
+// run on lowercased text with accents removed and cover the languages the
+// destination catalog scrapes in (en, es, fr, de, it, pt). A code with a
+// broader one (wifi_free -> wifi) also counts as having the broader amenity.
+
+// "Free", "included" and their translations
+const FREE = /\b(free|complimentary|included|gratis|gratuit[oae]?s?|kostenlose?[nmrs]?|inklusive|inclus[oae]?|incluid[oa]s?)\b/;
+
+// "No pets", "Pets not allowed", "Sin piscina"... name an amenity the hotel
+// does not have
+const NEGATED = /^(no|sin|sans|kein[e]?|senza|sem)\b|not (allowed|available)|nicht erlaubt|no permitid|non ammess|interdit|nao permitid/;
+
+const TAXONOMY = [
+  { code: 'wifi_free', broader: 'wifi', label: 'Free Wi-Fi', category: 'internet', pattern: /wi-?fi|wlan|internet/, free: true },
+  { code: 'wifi', label: 'Wi-Fi', category: 'internet', pattern: /wi-?fi|wlan|internet/ },
+  { code: 'parking_free', broader: 'parking', label: 'Free parking', category: 'transport', pattern: /parking|parkplatz|parkplatze|aparcamiento|estacionamiento|parcheggio|garage/, free: true },
+  { code: 'parking', label: 'Parking', category: 'transport', pattern: /parking|parkplatz|parkplatze|aparcamiento|estacionamiento|parcheggio|garage/ },
+  { code: 'ev_charging', label: 'EV charger', category: 'transport', pattern: /\bev\b|electric vehicle|charging station|ladestation|recarga|borne de recharge|ricarica/ },
+  { code: 'airport_shuttle', label: 'Airport shuttle', category: 'transport', pattern: /airport (shuttle|transfer)|flughafen(transfer|shuttle)|traslado al aeropuerto|navette aeroport|navetta aeroport|transfer(e)? (ao|para o) aeroporto/ },
+  { code: 'hot_tub', label: 'Hot tub', category: 'wellness', pattern: /hot tub|jacuzzi|whirlpool|hidromasaje|vasca idromassaggio|banheira de hidromassagem/ },
+  { code: 'pool_outdoor', broader: 'pool', label: 'Outdoor pool', category: 'wellness', pattern: /outdoor pool|aussenpool|außenpool|freibad|piscina (al aire libre|exterior|all'aperto|ao ar livre|esterna)|piscine exterieure/ },
+  { code: 'pool_indoor', broader: 'pool', label: 'Indoor pool', category: 'wellness', pattern: /indoor pool|hallenbad|innenpool|piscina (cubierta|interior|coperta|coberta|interna)|piscine interieure|piscine couverte/ },
+  { code: 'pool', label: 'Pool', category: 'wellness', pattern: /\bpools?\b|piscina|piscine|schwimmbad/ },
+  { code: 'spa', label: 'Spa', category: 'wellness', pattern: /\bspa\b|wellness/ },
+  { code: 'fitness_center', label: 'Fitness center', category: 'wellness', pattern: /fitness|\bgym\b|gimnasio|salle de sport|palestra|academia|ginasio/ },
+  { code: 'breakfast_included', broader: 'breakfast', label: 'Breakfast included', category: 'food', pattern: /breakfast|desayuno|petit[- ]dejeuner|fruhstuck|colazione|cafe da manha|pequeno[- ]almoco/, free: true },
+  { code: 'breakfast', label: 'Breakfast available', category: 'food', pattern: /breakfast|desayuno|petit[- ]dejeuner|fruhstuck|colazione|cafe da manha|pequeno[- ]almoco/ },
+  { code: 'all_inclusive', label: 'All-inclusive', category: 'food', pattern: /all[- ]inclusive|todo incluido|tout compris|tutto incluso|tudo incluido/ },
+  { code: 'restaurant', label: 'Restaurant', category: 'food', pattern: /restaurant|restaurante|ristorante/ },
+  { code: 'room_service', label: 'Room service', category: 'food', pattern: /room service|zimmerservice|servicio de habitaciones|service (de|en) chambre|servizio in camera|servico de quarto/ },
+  { code: 'bar', label: 'Bar', category: 'food', pattern: /\bbar\b|lounge/ },
+  { code: 'kitchen', label: 'Kitchen', category: 'room', pattern: /kitchen|kitchenette|kuche|cocina|cuisine|cucina|cozinha/ },
+  { code: 'air_conditioning', label: 'Air conditioning', category: 'room', pattern: /air[- ]?condition|klimaanlage|aire acondicionado|climatisation|aria condizionata|ar[- ]condicionado/ },
+  { code: 'laundry', label: 'Laundry', category: 'services', pattern: /laundry|wasche|lavanderia|blanchisserie|laverie|lavandaria/ },
+  { code: 'business_center', label: 'Business center', category: 'services', pattern: /business cent(er|re)|businesscenter|centro de negocios|centre d'affaires|centro business/ },
+  { code: 'pet_friendly', label: 'Pet-friendly', category: 'policies', pattern: /pet[- ]friendly|pets? allowed|haustiere|mascotas|animaux|animali|animais|dogs? allowed/ },
+  { code: 'kid_friendly', label: 'Kid-friendly', category: 'policies', pattern: /kid[- ]friendly|child[- ]friendly|family[- ]friendly|kinderfreundlich|apto para ninos|adapte aux enfants|adatto ai bambini|adequado para criancas/ },
+  { code: 'smoke_free', label: 'Smoke-free', category: 'policies', pattern: /smoke[- ]free|non[- ]smoking|nichtraucher|libre de humo|non[- ]fumeur|non fumatori|proibido fumar/ },
+  { code: 'accessible', label: 'Accessible', category: 'policies', pattern: /accessib|wheelchair|barrierefrei|accesible|acessivel/ },
+  { code: 'beach_access', label: 'Beach access', category: 'location', pattern: /beach|strand|playa|plage|spiaggia|praia/ }
+];
+
+const CODES = new Set(TAXONOMY.map(entry => entry.code));
+
+function simplify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// { code, text } for one raw amenity string; code is null when the string
+// matches nothing in the taxonomy or says the amenity is missing
+function normalizeAmenity(value) {
+  const text = String(value || '').trim();
+  const simple = simplify(text);
+  if (!simple || NEGATED.test(simple)) return { code: null, text };
+  const entry = TAXONOMY.find(item => item.pattern.test(simple) && (!item.free || FREE.test(simple)));
+  return { code: entry ? entry.code : null, text };
+}
+
+// Distinct codes for a list of raw amenities, in the order first seen
+function amenityCodes(amenities) {
+  const codes = [];
+  for (const amenity of amenities || []) {
+    const { code } = normalizeAmenity(amenity);
+    if (code && !codes.includes(code)) codes.push(code);
+  }
+  return codes;
+}
+
+function isAmenityCode(value) {
+  return CODES.has(value);
+}
+
+// Whether a hotel with these codes has the amenity, directly or through a
+// narrower code (free parking is parking)
+function hasAmenity(codes, code) {
+  return (codes || []).some(own => own === code || TAXONOMY.find(entry => entry.code === own)?.broader === code);
+}
+
+// The taxonomy without its patterns, for GET /api/amenities
+function listAmenities() {
+  return TAXONOMY.map(({ code, label, category, broader }) => ({ code, label, category, broader: broader || null }));
+}
+
+module.exports = {
+  normalizeAmenity,
+  amenityCodes,
+  isAmenityCode,
+  hasAmenity,
+  listAmenities
+};
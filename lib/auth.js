@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// API key authentication, scopes and per-key limits.
+//
+// Keys live in API_KEYS_FILE (default data/api-keys.json, see
+// scripts/create-api-key.js):
+//
+//   { "keys": [{ "id": "frontend", "hash": "<sha256 of the key>",
+//                "scopes": ["scrape"], "rateLimit": { "capacity": 60, "perMinute": 30 },
+//                "maxConcurrent": 2 }] }
+//
+// Scopes are ordered: admin includes scrape, which includes read. Clients send
+// the key as "Authorization: Bearer <key>" or "X-API-Key: <key>"; GET requests
+// may also use ?api_key= because EventSource cannot set headers.
+// AUTH_DISABLED=true turns all of this off for local development.
+
+const SCOPES = ['read', 'scrape', 'admin'];
+const KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const DEFAULT_RATE_LIMIT = {
+  capacity: envInt('RATE_LIMIT_CAPACITY', 60),
+  perMinute: envInt('RATE_LIMIT_PER_MINUTE', 60)
+};
+const DEFAULT_MAX_CONCURRENT = envInt('RATE_LIMIT_MAX_CONCURRENT', 2);
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return `hsk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function authDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+let clients = null;
+
+// Loaded once; restart the server after changing the keys file
+function loadClients() {
+  if (clients) return clients;
+  clients = new Map();
+
+  if (!fs.existsSync(KEYS_FILE)) {
+    if (!authDisabled()) {
+      console.warn(`No API keys file at ${KEYS_FILE}; every authenticated route will answer 401`);
+    }
+    return clients;
+  }
+
+  const { keys = [] } = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  for (const entry of keys) {
+    if (entry.disabled) continue;
+    const scope = SCOPES.includes(entry.scope) ? entry.scope : highestScope(entry.scopes);
+    clients.set(entry.hash, {
+      id: entry.id,
+      scope,
+      rateLimit: { ...DEFAULT_RATE_LIMIT, ...(entry.rateLimit || {}) },
+      maxConcurrent: entry.maxConcurrent || DEFAULT_MAX_CONCURRENT
+    });
+  }
+  console.log(`Loaded ${clients.size} API keys from ${KEYS_FILE}`);
+  return clients;
+}
+
+function highestScope(scopes = []) {
+  return SCOPES.filter(scope => scopes.includes(scope)).pop() || 'read';
+}
+
+function scopeIncludes(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+function hasScope(req, scope) {
+  if (authDisabled()) return true;
+  return Boolean(req.client) && scopeIncludes(req.client.scope, scope);
+}
+
+function extractKey(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+  if (req.method === 'GET' && req.query.api_key) return String(req.query.api_key);
+  return null;
+}
+
+// Token bucket per key: capacity requests at once, refilled at perMinute
+const buckets = new Map();
+
+function takeToken(client) {
+  const { capacity, perMinute } = client.rateLimit;
+  const ratePerMs = perMinute / 60000;
+  const now = Date.now();
+  const bucket = buckets.get(client.id) || { tokens: capacity, updatedAt: now };
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+  bucket.updatedAt = now;
+  buckets.set(client.id, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), capacity };
+  }
+  return {
+    allowed: false,
+    remaining: 0,
+    capacity,
+    retryAfter: Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)
+  };
+}
+
+// In-flight requests per key, for the concurrency cap on scrape routes
+const active = new Map();
+
+function tooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests', message, retryAfter });
+}
+
+// Identifies the client, checks its scope and charges its rate limit.
+// With concurrency: true the request also counts against the client's
+// maxConcurrent until the response finishes (scrapes hold a browser).
+function requireScope(scope, { concurrency = false } = {}) {
+  return (req, res, next) => {
+    if (authDisabled()) return next();
+
+    const key = extractKey(req);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: 'Missing API key',
+        message: 'Send your API key as "Authorization: Bearer <key>" or in the X-API-Key header'
+      });
+    }
+
+    const client = loadClients().get(hashKey(key));
+    if (!client) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.client = client;
+
+    if (!scopeIncludes(client.scope, scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This route requires the "${scope}" scope; key "${client.id}" has "${client.scope}"`
+      });
+    }
+
+    const limit = takeToken(client);
+    res.set('RateLimit-Limit', String(limit.capacity));
+    res.set('RateLimit-Remaining', String(limit.remaining));
+    if (!limit.allowed) {
+      console.log(`Rate limit exceeded for API key ${client.id}`);
+      return tooManyRequests(res, limit.retryAfter, `Rate limit exceeded, retry in ${limit.retryAfter}s`);
+    }
+
+    if (concurrency) {
+      const running = active.get(client.id) || 0;
+      if (running >= client.maxConcurrent) {
+        return tooManyRequests(res, 5, `At most ${client.maxConcurrent} concurrent scrapes are allowed per key`);
+      }
+      active.set(client.id, running + 1);
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        active.set(client.id, active.get(client.id) - 1);
+      };
+      res.on('finish', release);
+      res.on('close', release);
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  SCOPES,
+  KEYS_FILE,
+  hashKey,
+  generateKey,
+  hasScope,
+  requireScope,
+  loadClients
+};
@@ -0,0 +1,401 @@
+const { chromium } = require('playwright');
+
+// Launch arguments shared by every pooled browser
+const BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu',
+  '--window-size=1920,1080',
+  '--hide-scrollbars',
+  '--disable-notifications',
+  '--disable-extensions',
+  '--force-color-profile=srgb',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins,site-per-process',
+  '--disable-site-isolation-trials',
+  '--disable-blink-features=AutomationControlled'
+];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Thrown when a caller waited longer than the queue timeout for a free slot
+class PoolTimeoutError extends Error {
+  constructor(waitedMs) {
+    super(`Timed out after ${waitedMs}ms waiting for a browser context`);
+    this.name = 'PoolTimeoutError';
+    this.statusCode = 503;
+  }
+}
+
+// Thrown for new requests once the pool has been shut down
+class PoolClosedError extends Error {
+  constructor() {
+    super('Browser pool is closed');
+    this.name = 'PoolClosedError';
+    this.statusCode = 503;
+  }
+}
+
+// Keeps a small set of long-lived Chromium instances warm and hands out an
+// isolated BrowserContext per request. Callers beyond maxConcurrency are
+// queued until a context is released or their wait timeout expires.
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxBrowsers = options.maxBrowsers || envInt('BROWSER_POOL_MAX_BROWSERS', 2);
+    this.maxConcurrency = options.maxConcurrency || envInt('BROWSER_POOL_MAX_CONCURRENCY', 4);
+    this.maxQueue = options.maxQueue || envInt('BROWSER_POOL_MAX_QUEUE', 50);
+    this.acquireTimeout = options.acquireTimeout || envInt('BROWSER_POOL_ACQUIRE_TIMEOUT_MS', 60000);
+    this.leaseTimeout = options.leaseTimeout || envInt('BROWSER_POOL_LEASE_TIMEOUT_MS', 180000);
+    this.maxUsesPerBrowser = options.maxUsesPerBrowser || envInt('BROWSER_POOL_MAX_USES', 100);
+    this.healthCheckInterval = options.healthCheckInterval || envInt('BROWSER_POOL_HEALTH_CHECK_MS', 30000);
+    this.launchOptions = options.launchOptions || { headless: true, args: BROWSER_ARGS };
+
+    this.browsers = [];
+    this.leases = new Set();
+    this.queue = [];
+    this.nextBrowserId = 1;
+    this.nextLeaseId = 1;
+    this.closed = false;
+    this.healthTimer = null;
+    this.counters = {
+      launched: 0,
+      acquired: 0,
+      released: 0,
+      timeouts: 0,
+      rejected: 0,
+      recycled: 0,
+      crashed: 0,
+      leaked: 0
+    };
+  }
+
+  start() {
+    if (this.healthTimer) return;
+    this.healthTimer = setInterval(() => {
+      this.healthCheck().catch(error => {
+        console.error('Browser pool health check failed:', error);
+      });
+    }, this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  // Resolves with a lease ({ id, context, release }) once a slot is free.
+  // Aborting signal while queued gives up the place and rejects with the
+  // abort reason.
+  acquire(contextOptions = {}, { timeout = this.acquireTimeout, signal } = {}) {
+    if (this.closed) {
+      return Promise.reject(new PoolClosedError());
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    this.start();
+
+    if (this.leases.size < this.maxConcurrency && this.queue.length === 0) {
+      return this.createLease(contextOptions);
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.counters.rejected++;
+      const error = new Error('Browser pool queue is full, try again later');
+      error.statusCode = 503;
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(waiter.timer);
+        this.queue = this.queue.filter(item => item !== waiter);
+        waiter.reject(signal.reason);
+      };
+      const settle = callback => value => {
+        if (waiter.settled) return;
+        waiter.settled = true;
+        waiter.detach();
+        callback(value);
+      };
+      const waiter = {
+        contextOptions,
+        settled: false,
+        resolve: settle(resolve),
+        reject: settle(reject),
+        // Once dequeued the lease is on its way; withContext checks the
+        // signal again when it arrives
+        detach: () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+        },
+        enqueuedAt: Date.now()
+      };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(item => item !== waiter);
+        this.counters.timeouts++;
+        waiter.reject(new PoolTimeoutError(Date.now() - waiter.enqueuedAt));
+      }, timeout);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  // Runs fn with a fresh context and always gives the slot back afterwards.
+  // Aborting acquireOptions.signal closes the context, so whatever fn is
+  // waiting on rejects, and the abort reason is thrown in its place.
+  async withContext(contextOptions, fn, acquireOptions = {}) {
+    const { signal } = acquireOptions;
+    if (signal && signal.aborted) throw signal.reason;
+
+    const lease = await this.acquire(contextOptions, acquireOptions);
+    const onAbort = () => {
+      lease.context.close().catch(() => {});
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      if (signal && signal.aborted) throw signal.reason;
+      return await fn(lease.context);
+    } catch (error) {
+      throw signal && signal.aborted ? signal.reason : error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      await lease.release();
+    }
+  }
+
+  async createLease(contextOptions) {
+    const lease = {
+      id: this.nextLeaseId++,
+      acquiredAt: Date.now(),
+      context: null,
+      entry: null,
+      released: false
+    };
+    // Reserve the slot before the async work so concurrent acquires see it
+    this.leases.add(lease);
+
+    try {
+      lease.entry = this.pickBrowser();
+      lease.entry.activeContexts++;
+      lease.entry.uses++;
+      await lease.entry.ready;
+      lease.context = await lease.entry.browser.newContext(contextOptions);
+    } catch (error) {
+      if (lease.entry) lease.entry.activeContexts--;
+      this.leases.delete(lease);
+      this.drainQueue();
+      throw error;
+    }
+
+    lease.release = () => this.release(lease);
+    this.counters.acquired++;
+    return lease;
+  }
+
+  async release(lease) {
+    if (lease.released) return;
+    lease.released = true;
+    this.leases.delete(lease);
+    lease.entry.activeContexts--;
+    this.counters.released++;
+
+    try {
+      await lease.context.close();
+    } catch (error) {
+      console.error(`Error closing context for lease ${lease.id}:`, error.message);
+    }
+
+    if (lease.entry.retiring && lease.entry.activeContexts === 0) {
+      await this.closeBrowser(lease.entry);
+    }
+
+    this.drainQueue();
+  }
+
+  drainQueue() {
+    while (this.queue.length > 0 && this.leases.size < this.maxConcurrency && !this.closed) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      waiter.detach();
+      this.createLease(waiter.contextOptions).then(lease => {
+        // Nobody is left to release a lease for a waiter that already gave up
+        if (waiter.settled) lease.release();
+        else waiter.resolve(lease);
+      }, waiter.reject);
+    }
+  }
+
+  // Least-loaded healthy browser, launching a new one while under maxBrowsers.
+  // Entries that are still launching count as candidates so that concurrent
+  // acquires share them instead of starting extra instances.
+  pickBrowser() {
+    const perBrowser = Math.ceil(this.maxConcurrency / this.maxBrowsers);
+    const candidates = this.browsers
+      .filter(entry => !entry.retiring && (!entry.browser || entry.browser.isConnected()))
+      .sort((a, b) => a.activeContexts - b.activeContexts);
+    const roomy = candidates.find(entry => entry.activeContexts < perBrowser);
+
+    if (roomy && (roomy.activeContexts === 0 || this.browsers.length >= this.maxBrowsers)) {
+      return roomy;
+    }
+    if (this.browsers.length < this.maxBrowsers) {
+      return this.launchBrowser();
+    }
+    if (candidates.length > 0) {
+      return candidates[0];
+    }
+    // Every browser is retiring, so launch a replacement rather than wait; the
+    // retiring ones are closed as soon as their last context is released.
+    return this.launchBrowser();
+  }
+
+  launchBrowser() {
+    const entry = {
+      id: this.nextBrowserId++,
+      browser: null,
+      launchedAt: Date.now(),
+      activeContexts: 0,
+      uses: 0,
+      retiring: false
+    };
+    this.browsers.push(entry);
+
+    entry.ready = chromium.launch(this.launchOptions).then(browser => {
+      entry.browser = browser;
+      this.counters.launched++;
+      console.log(`Browser pool launched browser #${entry.id}`);
+
+      browser.on('disconnected', () => {
+        if (!this.browsers.includes(entry)) return;
+        console.error(`Browser #${entry.id} disconnected unexpectedly`);
+        this.counters.crashed++;
+        this.browsers = this.browsers.filter(item => item !== entry);
+        this.dropLeasesFor(entry);
+      });
+
+      return browser;
+    }, error => {
+      this.browsers = this.browsers.filter(item => item !== entry);
+      throw error;
+    });
+
+    return entry;
+  }
+
+  dropLeasesFor(entry) {
+    for (const lease of this.leases) {
+      if (lease.entry === entry) {
+        lease.released = true;
+        this.leases.delete(lease);
+      }
+    }
+    entry.activeContexts = 0;
+    this.drainQueue();
+  }
+
+  async closeBrowser(entry) {
+    this.browsers = this.browsers.filter(item => item !== entry);
+    try {
+      await entry.browser.close();
+      console.log(`Browser pool closed browser #${entry.id}`);
+    } catch (error) {
+      console.error(`Error closing browser #${entry.id}:`, error.message);
+    }
+  }
+
+  // Replaces crashed browsers, retires worn-out ones and reclaims leaked contexts
+  async healthCheck() {
+    const now = Date.now();
+
+    for (const lease of Array.from(this.leases)) {
+      if (lease.context && now - lease.acquiredAt > this.leaseTimeout) {
+        console.error(`Lease ${lease.id} held for ${now - lease.acquiredAt}ms, reclaiming it`);
+        this.counters.leaked++;
+        await this.release(lease);
+      }
+    }
+
+    for (const entry of Array.from(this.browsers)) {
+      if (!entry.browser) continue;
+
+      if (!entry.browser.isConnected()) {
+        this.counters.crashed++;
+        this.browsers = this.browsers.filter(item => item !== entry);
+        this.dropLeasesFor(entry);
+        continue;
+      }
+
+      if (!entry.retiring && entry.uses >= this.maxUsesPerBrowser) {
+        entry.retiring = true;
+        this.counters.recycled++;
+        console.log(`Retiring browser #${entry.id} after ${entry.uses} uses`);
+      }
+
+      if (entry.retiring && entry.activeContexts === 0) {
+        await this.closeBrowser(entry);
+      }
+    }
+  }
+
+  stats() {
+    const now = Date.now();
+    return {
+      maxBrowsers: this.maxBrowsers,
+      maxConcurrency: this.maxConcurrency,
+      activeContexts: this.leases.size,
+      queued: this.queue.length,
+      utilization: Number((this.leases.size / this.maxConcurrency).toFixed(2)),
+      oldestWaitMs: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0,
+      browsers: this.browsers.map(entry => ({
+        id: entry.id,
+        connected: entry.browser ? entry.browser.isConnected() : false,
+        activeContexts: entry.activeContexts,
+        uses: entry.uses,
+        retiring: entry.retiring,
+        ageMs: now - entry.launchedAt
+      })),
+      leases: Array.from(this.leases).map(lease => ({
+        id: lease.id,
+        browserId: lease.entry ? lease.entry.id : null,
+        heldMs: now - lease.acquiredAt
+      })),
+      totals: { ...this.counters }
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    for (const waiter of this.queue) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new PoolClosedError());
+    }
+    this.queue = [];
+
+    const entries = this.browsers;
+    this.browsers = [];
+    await Promise.all(entries.map(async entry => {
+      try {
+        const browser = entry.browser || await entry.ready;
+        await browser.close();
+      } catch (error) {
+        console.error(`Error closing browser #${entry.id}:`, error.message);
+      }
+    }));
+    this.leases.clear();
+  }
+}
+
+const browserPool = new BrowserPool();
+
+module.exports = {
+  BrowserPool,
+  PoolTimeoutError,
+  PoolClosedError,
+  browserPool
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Persistent cache store: one JSON file per entry, named after a hash of the
+// key, so entries survive restarts and can be shared by processes on the
+// same disk.
+class FileStore {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable cache file ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async get(key) {
+    return this.read(this.fileFor(key));
+  }
+
+  async set(key, entry) {
+    const file = this.fileFor(key);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(entry));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.fileFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    const files = (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const entries = await Promise.all(files.map(file => this.read(path.join(this.dir, file))));
+    return entries.filter(Boolean);
+  }
+
+  async clear() {
+    const files = (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    await Promise.all(files.map(file => fs.promises.unlink(path.join(this.dir, file)).catch(() => {})));
+    return files.length;
+  }
+}
+
+module.exports = FileStore;
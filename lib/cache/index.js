@@ -0,0 +1,310 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+// Per-operation lifetimes in seconds. Entries are fresh for ttl, then served
+// stale for up to stale more seconds while a refresh runs in the background.
+// Override with CACHE_TTL_<OPERATION> / CACHE_STALE_<OPERATION>.
+const DEFAULT_POLICIES = {
+  search: { ttl: 15 * MINUTE, stale: HOUR },
+  prices: { ttl: 30 * MINUTE, stale: HOUR },
+  priceCalendar: { ttl: 30 * MINUTE, stale: HOUR },
+  info: { ttl: 24 * HOUR, stale: 7 * 24 * HOUR },
+  images: { ttl: 24 * HOUR, stale: 7 * 24 * HOUR },
+  reviews: { ttl: 12 * HOUR, stale: 3 * 24 * HOUR }
+};
+
+// Request fields that change what a scrape returns, in key order
+const KEY_FIELDS = [
+  'destination', 'hotelName', 'location',
+  'checkIn', 'checkOut', 'checkInDate', 'checkOutDate',
+  'travelers', 'currency', 'locale', 'mode',
+  'from', 'to', 'minNights', 'maxNights',
+  'hotelClass', 'priceMin', 'priceMax', 'minRating', 'amenities', 'minResults', 'occupancy', 'limit'
+];
+
+function normalizeValue(value) {
+  // Objects such as occupancy are keyed by their JSON
+  const text = value && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : String(value);
+  return text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Readable key such as "info:google-travel:destination=hilton new york;locale=en-us".
+// Free text is trimmed, lowercased and whitespace-collapsed so trivially
+// different spellings share an entry.
+function buildCacheKey(operation, source, params = {}) {
+  const parts = KEY_FIELDS
+    .filter(field => params[field] !== undefined && params[field] !== null && params[field] !== '')
+    .map(field => `${field}=${normalizeValue(params[field])}`);
+  if (!parts.some(part => part.startsWith('locale='))) parts.push('locale=en-us');
+  return `${operation}:${source}:${parts.join(';')}`;
+}
+
+function createStore(backend = process.env.CACHE_BACKEND || (process.env.NODE_ENV === 'production' ? 'file' : 'memory')) {
+  if (backend === 'file') {
+    return new FileStore({ dir: process.env.CACHE_DIR || path.join(__dirname, '..', '..', 'data', 'cache') });
+  }
+  if (backend === 'memory') {
+    return new MemoryStore({ maxEntries: envInt('CACHE_MAX_ENTRIES', 1000) });
+  }
+  throw new Error(`Unknown CACHE_BACKEND "${backend}". Use "memory" or "file".`);
+}
+
+// Rejects with the signal's reason as soon as it aborts, so a caller can stop
+// waiting on a scrape that other callers still share
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Cache in front of the scrapers with stale-while-revalidate and request
+// coalescing: concurrent callers asking for the same key share one scrape.
+// Only non-empty results are stored; failures and "not found" are not.
+class ResponseCache {
+  constructor({ store = createStore(), policies = {} } = {}) {
+    this.store = store;
+    this.policies = {};
+    for (const [operation, policy] of Object.entries({ ...DEFAULT_POLICIES, ...policies })) {
+      const name = operation.toUpperCase();
+      this.policies[operation] = {
+        ttl: envInt(`CACHE_TTL_${name}`, policy.ttl),
+        stale: envInt(`CACHE_STALE_${name}`, policy.stale)
+      };
+    }
+    this.inflight = new Map();
+    this.sweepInterval = envInt('CACHE_SWEEP_INTERVAL_MS', 10 * 60 * 1000);
+    this.sweepTimer = null;
+    this.counters = { hits: 0, stale: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+  }
+
+  start() {
+    if (this.sweepTimer || this.sweepInterval === 0) return;
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => {
+        console.error('Cache sweep failed:', error);
+      });
+    }, this.sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  policyFor(operation) {
+    return this.policies[operation] || { ttl: 0, stale: 0 };
+  }
+
+  // Resolves with { value, selectors, occupancy, status } where status is one
+  // of hit, stale, miss, coalesced or bypass. fetcher(run) performs the
+  // scrape; with fresh: true the cache is not read but the result is still
+  // stored.
+  async wrap(key, operation, fetcher, { fresh = false, signal, progress } = {}) {
+    this.start();
+    const policy = this.policyFor(operation);
+    if (policy.ttl === 0) {
+      const result = await this.fetch(key, operation, fetcher, { signal, progress });
+      return { ...result, status: 'bypass' };
+    }
+
+    if (!fresh) {
+      const entry = await this.store.get(key);
+      const now = Date.now();
+      if (entry && now < entry.expiresAt) {
+        this.counters.hits++;
+        this.touch(key, entry);
+        return { value: entry.value, selectors: entry.selectors, occupancy: entry.occupancy, status: 'hit', entry };
+      }
+      if (entry && now < entry.staleUntil) {
+        this.counters.stale++;
+        this.touch(key, entry);
+        this.refresh(key, operation, fetcher);
+        return { value: entry.value, selectors: entry.selectors, occupancy: entry.occupancy, status: 'stale', entry };
+      }
+    }
+
+    if (this.inflight.has(key)) {
+      this.counters.coalesced++;
+      const result = await this.fetch(key, operation, fetcher, { signal });
+      return { ...result, status: 'coalesced' };
+    }
+
+    this.counters.misses++;
+    const result = await this.fetch(key, operation, fetcher, { signal, progress });
+    return { ...result, status: 'miss' };
+  }
+
+  // Runs the scrape once per key; later callers join the in-flight one. The
+  // scrape gets its own signal, aborted once every caller that joined with a
+  // signal has aborted. A caller without one (a background refresh) keeps it
+  // running to the end.
+  fetch(key, operation, fetcher, { signal, progress } = {}) {
+    const flight = this.inflight.get(key) || this.launch(key, operation, fetcher, progress);
+    this.join(flight, signal);
+    return abortable(flight.promise, signal);
+  }
+
+  join(flight, signal) {
+    if (!signal) {
+      flight.pinned = true;
+      return;
+    }
+    flight.waiters++;
+    const leave = () => {
+      flight.waiters--;
+      if (flight.waiters > 0 || flight.pinned) return;
+      // Later callers start a new scrape instead of joining the aborted one
+      if (this.inflight.get(flight.key) === flight) this.inflight.delete(flight.key);
+      flight.controller.abort(signal.reason);
+    };
+    if (signal.aborted) {
+      leave();
+      return;
+    }
+    signal.addEventListener('abort', leave, { once: true });
+    flight.promise
+      .catch(() => {})
+      .finally(() => signal.removeEventListener('abort', leave));
+  }
+
+  launch(key, operation, fetcher, progress) {
+    const controller = new AbortController();
+    const run = { signal: controller.signal };
+    if (progress) run.progress = progress;
+    const flight = { key, controller, waiters: 0, pinned: false, promise: null };
+    this.inflight.set(key, flight);
+
+    flight.promise = (async () => {
+      try {
+        const value = await fetcher(run);
+        if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+          // A failed write only costs the next caller a scrape
+          await this.store.set(key, this.createEntry(key, operation, value, run)).catch(error => {
+            console.error(`Could not cache ${key}:`, error.message);
+          });
+        }
+        return { value, selectors: run.selectors, occupancy: run.occupancy };
+      } catch (error) {
+        this.counters.errors++;
+        throw error;
+      } finally {
+        if (this.inflight.get(key) === flight) this.inflight.delete(key);
+      }
+    })();
+    return flight;
+  }
+
+  refresh(key, operation, fetcher) {
+    if (this.inflight.has(key)) return;
+    this.counters.refreshes++;
+    console.log(`Refreshing stale cache entry ${key}`);
+    this.fetch(key, operation, fetcher).catch(error => {
+      console.error(`Background refresh of ${key} failed:`, error.message);
+    });
+  }
+
+  // Keeps the selector and occupancy reports the scrape recorded on its run
+  // so cached responses can still include them
+  createEntry(key, operation, value, { selectors, occupancy } = {}) {
+    const { ttl, stale } = this.policyFor(operation);
+    const now = Date.now();
+    return {
+      key,
+      operation,
+      value,
+      selectors,
+      occupancy,
+      createdAt: now,
+      expiresAt: now + ttl * 1000,
+      staleUntil: now + (ttl + stale) * 1000,
+      hits: 0
+    };
+  }
+
+  touch(key, entry) {
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastHitAt = Date.now();
+    this.store.set(key, entry).catch(() => {});
+  }
+
+  describe(entry) {
+    const now = Date.now();
+    const state = now < entry.expiresAt ? 'fresh' : now < entry.staleUntil ? 'stale' : 'expired';
+    return {
+      key: entry.key,
+      operation: entry.operation,
+      state,
+      hits: entry.hits || 0,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      staleUntil: new Date(entry.staleUntil).toISOString(),
+      lastHitAt: entry.lastHitAt ? new Date(entry.lastHitAt).toISOString() : null
+    };
+  }
+
+  // Entry summaries, optionally filtered by operation or a key substring
+  async list({ operation, match } = {}) {
+    const entries = await this.store.list();
+    return entries
+      .filter(entry => (!operation || entry.operation === operation) && (!match || entry.key.includes(match)))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(entry => this.describe(entry));
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  // Removes matching entries, or everything when no filter is given
+  async purge({ operation, match } = {}) {
+    if (!operation && !match) return this.store.clear();
+    const entries = await this.list({ operation, match });
+    await Promise.all(entries.map(entry => this.store.delete(entry.key)));
+    return entries.length;
+  }
+
+  // Drops entries past their stale window
+  async sweep() {
+    const now = Date.now();
+    const entries = await this.store.list();
+    const expired = entries.filter(entry => now >= entry.staleUntil);
+    await Promise.all(expired.map(entry => this.store.delete(entry.key)));
+    return expired.length;
+  }
+
+  async stats() {
+    const entries = await this.store.list();
+    return {
+      backend: this.store.name,
+      entries: entries.length,
+      inflight: this.inflight.size,
+      policies: this.policies,
+      ...this.counters
+    };
+  }
+}
+
+const responseCache = new ResponseCache();
+
+module.exports = {
+  DEFAULT_POLICIES,
+  buildCacheKey,
+  createStore,
+  ResponseCache,
+  MemoryStore,
+  FileStore,
+  responseCache
+};
@@ -0,0 +1,42 @@
+// In-process cache store. Entries are lost on restart, which is fine for
+// development and tests. The oldest entries are evicted beyond maxEntries.
+class MemoryStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list() {
+    return Array.from(this.entries.values());
+  }
+
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+}
+
+module.exports = MemoryStore;
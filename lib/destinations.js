@@ -0,0 +1,168 @@
+const EventEmitter = require('events');
+const { getStorage } = require('./storage');
+const { resolveCurrency } = require('./pricing');
+const { slugify } = require('./hotels');
+
+class DestinationError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'DestinationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const LOCALE = /^[a-z]{2,3}(?:-[A-Z]{2})?$/;
+const COUNTRY = /^[A-Z]{2}$/;
+
+// Checks and normalizes client input. With partial set only the given
+// fields are validated, for updates.
+function validateDestination(input, { partial = false } = {}) {
+  const result = {};
+  const has = field => input[field] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new DestinationError('name is required', 400);
+    }
+    result.name = input.name.trim();
+  }
+  if (has('query')) {
+    if (typeof input.query !== 'string' || !input.query.trim()) {
+      throw new DestinationError('query must be a non-empty string', 400);
+    }
+    result.query = input.query.trim();
+  }
+  if (has('country')) {
+    const country = input.country ? String(input.country).toUpperCase() : null;
+    if (country && !COUNTRY.test(country)) {
+      throw new DestinationError('country must be an ISO 3166 alpha-2 code such as "PT"', 400);
+    }
+    result.country = country;
+  }
+  if (has('currency')) {
+    result.currency = input.currency ? resolveCurrency(input.currency) : null;
+  }
+  if (has('locale')) {
+    if (input.locale && !LOCALE.test(input.locale)) {
+      throw new DestinationError('locale must look like "en" or "pt-PT"', 400);
+    }
+    result.locale = input.locale || null;
+  }
+  if (has('priority')) {
+    const priority = Number(input.priority);
+    if (!Number.isInteger(priority)) {
+      throw new DestinationError('priority must be an integer', 400);
+    }
+    result.priority = priority;
+  }
+  if (has('enabled')) {
+    if (typeof input.enabled !== 'boolean') {
+      throw new DestinationError('enabled must be true or false', 400);
+    }
+    result.enabled = input.enabled;
+  }
+  return result;
+}
+
+// Highest priority first, then alphabetical
+function byPriority(a, b) {
+  return (b.priority - a.priority) || a.name.localeCompare(b.name);
+}
+
+// Cities the popular-cities scraper and scheduler work through. Held in
+// memory after load() and written through to storage; emits 'changed' after
+// every create, update or delete.
+class DestinationCatalog extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.repository = options.repository || null;
+    this.destinations = new Map();
+  }
+
+  get store() {
+    return this.repository || getStorage().destinations;
+  }
+
+  async load() {
+    this.destinations.clear();
+    for (const destination of await this.store.list()) {
+      this.destinations.set(destination.id, destination);
+    }
+  }
+
+  list({ enabled } = {}) {
+    return Array.from(this.destinations.values())
+      .filter(destination => enabled === undefined || destination.enabled === enabled)
+      .sort(byPriority);
+  }
+
+  get(id) {
+    const destination = this.destinations.get(id);
+    if (!destination) {
+      throw new DestinationError(`Destination ${id} not found`, 404);
+    }
+    return destination;
+  }
+
+  // Looks a destination up by id or display name, for jobs submitted with a
+  // plain city name
+  find(idOrName) {
+    return this.destinations.get(idOrName) ||
+      this.destinations.get(slugify(idOrName)) ||
+      Array.from(this.destinations.values()).find(destination => destination.name === idOrName) ||
+      null;
+  }
+
+  async create(input) {
+    const fields = validateDestination(input);
+    const id = input.id ? slugify(input.id) : slugify(fields.name);
+    if (!id) {
+      throw new DestinationError('Could not derive an id from the name; pass an id', 400);
+    }
+    if (this.destinations.has(id)) {
+      throw new DestinationError(`Destination ${id} already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const destination = {
+      id,
+      name: fields.name,
+      query: fields.query || fields.name,
+      country: fields.country || null,
+      currency: fields.currency || null,
+      locale: fields.locale || null,
+      priority: fields.priority ?? 0,
+      enabled: fields.enabled ?? true,
+      created_at: now,
+      updated_at: now
+    };
+    await this.store.upsert(destination);
+    this.destinations.set(id, destination);
+    this.emit('changed');
+    return destination;
+  }
+
+  async update(id, input) {
+    const destination = { ...this.get(id), ...validateDestination(input, { partial: true }), updated_at: new Date().toISOString() };
+    await this.store.upsert(destination);
+    this.destinations.set(id, destination);
+    this.emit('changed');
+    return destination;
+  }
+
+  async remove(id) {
+    this.get(id);
+    await this.store.remove(id);
+    this.destinations.delete(id);
+    this.emit('changed');
+  }
+}
+
+const destinationCatalog = new DestinationCatalog();
+
+module.exports = {
+  DestinationError,
+  DestinationCatalog,
+  destinationCatalog,
+  validateDestination
+};
@@ -0,0 +1,54 @@
+// Extracts description, check-in/out times, contact details, website and the
+// amenities list from the About tab of a hotel entity page. Runs inside the page with the selector
+// runtime installed, so it must stay self-contained.
+function extractAbout() {
+  const S = window.__hotelSelectors;
+  const aboutSection = S.one(document, 'about.section');
+  if (!aboutSection) {
+    console.log('About section not found');
+    return null;
+  }
+
+  // Get hotel description
+  const description = S.all(aboutSection, 'about.description')
+    .map(el => el.textContent)
+    .filter(Boolean)
+    .join('\n\n');
+  console.log('Found description:', description);
+
+  // Get check-in/out times
+  const checkInTime = S.text(aboutSection, 'about.checkInTime');
+  const checkOutTime = S.text(aboutSection, 'about.checkOutTime');
+  console.log('Found check-in/out times:', { checkInTime, checkOutTime });
+
+  // Get address and contact
+  const address = S.text(aboutSection, 'about.address');
+  const phone = S.text(aboutSection, 'about.phone');
+  console.log('Found address and phone:', { address, phone });
+
+  // Get website URL
+  const websiteLink = S.one(aboutSection, 'about.website');
+  const websiteUrl = websiteLink?.href || '';
+  console.log('Found website URL:', websiteUrl);
+
+  // Get amenities, as the page words them
+  const amenities = S.all(aboutSection, 'about.amenity')
+    .map(el => (el.textContent || '').trim())
+    .filter(Boolean);
+  console.log('Found amenities:', amenities);
+
+  return {
+    description,
+    checkInTime,
+    checkOutTime,
+    address,
+    phone,
+    websiteUrl,
+    amenities
+  };
+}
+
+module.exports = {
+  name: 'about',
+  extract: extractAbout
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { runExtractor } = require('./index');
+
+// Saved page snapshots live in fixtures/<extractor>/<name>.html next to the
+// extractor output they are expected to produce (<name>.expected.json)
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+function fixturePaths(extractor, name) {
+  const base = path.join(FIXTURES_DIR, extractor, name);
+  return { html: `${base}.html`, expected: `${base}.expected.json` };
+}
+
+// Lists fixtures, optionally filtered by "extractor" or "extractor/name"
+function listFixtures(filter) {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+
+  const [onlyExtractor, onlyName] = filter ? filter.split('/') : [];
+  const fixtures = [];
+
+  for (const extractor of fs.readdirSync(FIXTURES_DIR).sort()) {
+    const dir = path.join(FIXTURES_DIR, extractor);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    if (onlyExtractor && extractor !== onlyExtractor) continue;
+
+    for (const file of fs.readdirSync(dir).sort()) {
+      if (!file.endsWith('.html')) continue;
+      const name = file.slice(0, -'.html'.length);
+      if (onlyName && name !== onlyName) continue;
+      fixtures.push({ extractor, name, ...fixturePaths(extractor, name) });
+    }
+  }
+
+  return fixtures;
+}
+
+// Serializes the live DOM without scripts so the snapshot renders the same
+// way offline, and pins relative URLs to the page it was taken from
+async function snapshotPage(page, meta) {
+  const html = await page.evaluate(() => {
+    const clone = document.documentElement.cloneNode(true);
+    clone.querySelectorAll('script, noscript, link[rel="preload"], link[rel="prefetch"]')
+      .forEach(element => element.remove());
+    return clone.outerHTML;
+  });
+
+  const base = `<base href="${page.url().replace(/"/g, '&quot;')}">`;
+  const withBase = html.replace(/<head([^>]*)>/i, `<head$1>${base}`);
+  const comment = `<!-- ${JSON.stringify(meta).replace(/--/g, '- -')} -->`;
+  return `<!DOCTYPE html>\n${comment}\n${withBase}\n`;
+}
+
+function saveSnapshot(extractor, name, html) {
+  const paths = fixturePaths(extractor, name);
+  fs.mkdirSync(path.dirname(paths.html), { recursive: true });
+  fs.writeFileSync(paths.html, html);
+  return paths;
+}
+
+// Loads a snapshot into a fresh page with all network access blocked and runs
+// its extractor against it
+async function runFixture(browser, fixture) {
+  const context = await browser.newContext({ viewport: { width: 1920, height: 1080 } });
+  try {
+    const page = await context.newPage();
+    await page.route('**/*', route => route.abort());
+    await page.setContent(fs.readFileSync(fixture.html, 'utf8'), { waitUntil: 'domcontentloaded' });
+
+    const run = {};
+    const output = await runExtractor(page, fixture.extractor, run);
+    return { output, selectors: run.selectors };
+  } finally {
+    await context.close();
+  }
+}
+
+function readExpected(fixture) {
+  if (!fs.existsSync(fixture.expected)) return undefined;
+  return JSON.parse(fs.readFileSync(fixture.expected, 'utf8'));
+}
+
+function writeExpected(fixture, output) {
+  fs.writeFileSync(fixture.expected, `${JSON.stringify(output, null, 2)}\n`);
+}
+
+// Returns a list of human-readable differences between two JSON values
+function diffJson(expected, actual, at = '$') {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    return [`${at}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  const differences = [];
+  for (const key of keys) {
+    const next = Array.isArray(expected) ? `${at}[${key}]` : `${at}.${key}`;
+    differences.push(...diffJson(expected[key], actual[key], next));
+  }
+  return differences;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  fixturePaths,
+  listFixtures,
+  snapshotPage,
+  saveSnapshot,
+  runFixture,
+  readExpected,
+  writeExpected,
+  diffJson
+};
@@ -0,0 +1,51 @@
+const { evaluateWithSelectors } = require('../selectors');
+const suggestions = require('./suggestions');
+const about = require('./about');
+const photos = require('./photos');
+const prices = require('./prices');
+const reviews = require('./reviews');
+
+// Page-level extractors, keyed by name. Each one is a plain function that runs
+// inside the page, so it can be exercised against live Google or against a
+// saved snapshot loaded with page.setContent (see scripts/check-fixtures.js).
+const EXTRACTORS = {
+  [suggestions.name]: suggestions,
+  [about.name]: about,
+  [photos.name]: photos,
+  [prices.name]: prices,
+  [reviews.name]: reviews
+};
+
+function getExtractor(name) {
+  const extractor = EXTRACTORS[name];
+  if (!extractor) {
+    throw new Error(`Unknown extractor "${name}". Available: ${Object.keys(EXTRACTORS).join(', ')}`);
+  }
+  return extractor;
+}
+
+// Pages that already have the window.__hotelEmit binding installed
+const emitBindings = new WeakSet();
+
+// Runs the named extractor on the page. When run.capture is set (the fixture
+// capture script does this) it is handed the page first so the DOM can be
+// snapshotted exactly as the extractor is about to see it. When run.emit is
+// set, extractors that build records one at a time hand each one to it
+// through window.__hotelEmit as soon as it is parsed.
+async function runExtractor(page, name, run) {
+  const extractor = getExtractor(name);
+  if (run && typeof run.capture === 'function') {
+    await run.capture(name, page);
+  }
+  if (run && typeof run.emit === 'function' && !emitBindings.has(page)) {
+    emitBindings.add(page);
+    await page.exposeFunction('__hotelEmit', item => run.emit(item));
+  }
+  return evaluateWithSelectors(page, extractor.extract, undefined, run);
+}
+
+module.exports = {
+  EXTRACTORS,
+  getExtractor,
+  runExtractor
+};
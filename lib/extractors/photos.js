@@ -0,0 +1,47 @@
+// Extracts up to ten photos (largest srcset candidate, alt text and caption)
+// from the Photos tab of a hotel entity page. Runs inside the page with the
+// selector runtime installed, so it must stay self-contained.
+function extractPhotos() {
+  const imageElements = window.__hotelSelectors.all(document, 'photos.image');
+  const images = imageElements
+    .map(img => {
+      // Get the highest quality image URL
+      const srcset = img.getAttribute('srcset');
+      let url = img.getAttribute('src') || '';
+      
+      if (srcset) {
+        // Parse srcset to get the highest quality image
+        const sources = srcset.split(',')
+          .map(src => {
+            const [url, size] = src.trim().split(' ');
+            return { url, size: parseInt(size) || 0 };
+          })
+          .sort((a, b) => b.size - a.size);
+        
+        if (sources.length > 0) {
+          url = sources[0].url;
+        }
+      }
+
+      // Try to get caption from various possible parent elements
+      const caption = img.closest('[data-hotel-feature-id]')?.textContent || 
+                     img.closest('div[class*="caption"]')?.textContent ||
+                     img.closest('div[class*="description"]')?.textContent || '';
+      
+      return {
+        url: url,
+        alt: img.getAttribute('alt') || '',
+        caption: caption.trim()
+      };
+    })
+    .filter(img => img.url && img.url.startsWith('http')) // Filter out invalid URLs
+    .slice(0, 10); // Take the first 10 images
+
+  console.log('Found images:', images);
+  return images;
+}
+
+module.exports = {
+  name: 'photos',
+  extract: extractPhotos
+};
@@ -0,0 +1,112 @@
+// Extracts booking offers from the Prices tab of a hotel entity page, one
+// listing per provider. Runs inside the page with the selector runtime
+// installed, so it must stay self-contained.
+function extractPrices() {
+  // A digit next to a currency symbol or ISO code, in any order ("$123",
+  // "123 €", "JPY 18,000", "1 234 zł")
+  const looksLikePrice = text => /\d/.test(text) &&
+    /[$€£¥₹₩₺₪฿]|\b[A-Z]{3}\b|zł|Kč|\bFt\b|\bkr\b/.test(text);
+  const isMemberDeal = text => /member (deal|price|rate)|sign in to (save|unlock)/i.test(text);
+  const isCancellation = text => /cancell?ation|refundable/i.test(text);
+  const textOf = element => element.textContent?.trim() || '';
+
+  const offerLinks = window.__hotelSelectors.all(document, 'prices.offerLink');
+  if (offerLinks.length === 0) {
+    console.log('No booking offers found');
+    return [];
+  }
+
+  // Each provider row carries one logo next to its offer links. Climb from
+  // every link to the largest ancestor that still holds a single logo; links
+  // that end up in the same ancestor are rooms of the same provider.
+  const logosIn = element => Array.from(element.querySelectorAll('img'))
+    .filter(img => !offerLinks.some(link => link.contains(img)));
+  const sectionOf = link => {
+    let section = link;
+    while (section.parentElement && section.parentElement !== document.body &&
+      logosIn(section.parentElement).length <= 1) {
+      section = section.parentElement;
+    }
+    return section;
+  };
+
+  const sections = [];
+  for (const link of offerLinks) {
+    const element = sectionOf(link);
+    let section = sections.find(item => item.element === element);
+    if (!section) {
+      section = { element, links: [] };
+      sections.push(section);
+    }
+    section.links.push(link);
+  }
+  console.log(`Found ${offerLinks.length} offers from ${sections.length} providers`);
+
+  const toRoom = link => {
+    const spans = Array.from(link.querySelectorAll('span')).map(textOf).filter(Boolean);
+    const type = link.querySelector('div > div > div')?.textContent?.trim() ||
+      link.children[0]?.children[0]?.querySelector('div')?.textContent?.trim() ||
+      'Unknown Room Type';
+    const basePrice = spans.find(text => looksLikePrice(text) && !text.toLowerCase().includes('taxes')) || '';
+    const totalPrice = spans.find(text => looksLikePrice(text) && text.toLowerCase().includes('taxes')) || basePrice;
+    const cancellationPolicy = spans.find(isCancellation);
+    const features = spans.filter(text =>
+      text !== type && !looksLikePrice(text) && !isCancellation(text) && !isMemberDeal(text) &&
+      !text.toLowerCase().includes('nightly')
+    );
+
+    const relativeUrl = link.getAttribute('href') || '';
+    return {
+      type,
+      basePrice,
+      totalPrice,
+      url: relativeUrl.startsWith('http') ? relativeUrl : new URL(relativeUrl, document.baseURI).href,
+      cancellationPolicy,
+      memberDeal: spans.some(isMemberDeal) || undefined,
+      features: features.length > 0 ? features : undefined
+    };
+  };
+
+  return sections.map(({ element, links }) => {
+    // Provider details sit outside the offer links
+    const spans = Array.from(element.querySelectorAll('span'))
+      .filter(span => !links.some(link => link.contains(span)))
+      .map(textOf)
+      .filter(Boolean);
+
+    const support = [];
+    let memberDeals;
+    const features = [];
+    for (const text of spans) {
+      if (text.includes('Customer support:')) {
+        support.push(...text.replace('Customer support:', '').split('·').map(item => item.trim()).filter(Boolean));
+      } else if (isMemberDeal(text)) {
+        memberDeals = text;
+      } else if (!looksLikePrice(text) && !text.toLowerCase().includes('nightly')) {
+        features.push(text);
+      }
+    }
+
+    const logo = logosIn(element)[0];
+    // The name is usually the first label, otherwise the logo's alt text
+    const provider = features.shift() ||
+      logo?.getAttribute('alt') ||
+      'Unknown Provider';
+
+    const rooms = links.map(toRoom);
+    console.log(`Provider ${provider}: ${rooms.length} rooms`);
+    return {
+      provider,
+      providerLogo: logo && logo.getAttribute('src') ? new URL(logo.getAttribute('src'), document.baseURI).href : '',
+      memberDeals,
+      support: support.length > 0 ? support : undefined,
+      features: features.length > 0 ? features : undefined,
+      rooms
+    };
+  });
+}
+
+module.exports = {
+  name: 'prices',
+  extract: extractPrices
+};
@@ -0,0 +1,56 @@
+// Extracts the overall score, the per-aspect sub-scores and the loaded review
+// cards (author, text, score, when and where it was posted, trip and traveler
+// type) from the Reviews tab of a hotel entity page. Runs inside the page with
+// the selector runtime installed, so it must stay self-contained.
+function extractReviews() {
+  const S = window.__hotelSelectors;
+  const textOf = element => element?.textContent?.replace(/\s+/g, ' ').trim() || '';
+  const fieldText = (root, field) => S.text(root, field).replace(/\s+/g, ' ').trim();
+  const TRAVELER_TYPES = /^(couple|family|friends|solo|business traveller|business traveler|group)$/i;
+
+  // Sub-scores read "Rooms 4.5" or carry it in their label
+  const aspects = S.all(document, 'reviews.aspect')
+    .map(element => {
+      const label = element.getAttribute('aria-label') || textOf(element);
+      const match = label.match(/^(.*?)[\s:]*(\d(?:[.,]\d)?)(?:\s*(?:\/|out of)\s*5)?\s*$/i);
+      return match ? { name: match[1].trim(), score: match[2] } : null;
+    })
+    .filter(aspect => aspect && aspect.name);
+  console.log('Found aspect scores:', aspects);
+
+  const cards = S.all(document, 'reviews.card');
+  console.log(`Found ${cards.length} review cards`);
+
+  const reviews = cards.map(card => {
+    // "2 months ago on Tripadvisor"
+    const posted = fieldText(card, 'reviews.posted');
+    const [date, source] = posted.split(/\s+on\s+/);
+
+    // "Holiday | Couple": the trip first, then who travelled
+    const trip = fieldText(card, 'reviews.trip').split(/\s*[|·•]\s*/).filter(Boolean);
+    const travelerType = trip.find(part => TRAVELER_TYPES.test(part));
+    const tripType = trip.find(part => part !== travelerType);
+
+    return {
+      author: fieldText(card, 'reviews.author'),
+      text: textOf(S.one(card, 'reviews.text')),
+      score: fieldText(card, 'reviews.score'),
+      date: (date || '').trim(),
+      source: (source || '').trim(),
+      tripType: tripType || '',
+      travelerType: travelerType || ''
+    };
+  }).filter(review => review.text || review.score);
+
+  return {
+    rating: fieldText(document, 'reviews.rating'),
+    reviewCount: fieldText(document, 'reviews.count'),
+    aspects,
+    reviews
+  };
+}
+
+module.exports = {
+  name: 'reviews',
+  extract: extractReviews
+};
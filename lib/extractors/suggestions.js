@@ -0,0 +1,55 @@
+// Extracts every hotel card on a search results page. Runs inside the page
+// with the selector runtime installed, so it must stay self-contained.
+function extractSuggestions() {
+  const S = window.__hotelSelectors;
+  const suggestions = [];
+  const hotelElements = S.all(document, 'results.card');
+  console.log(`Found ${hotelElements.length} hotel elements`);
+
+  hotelElements.forEach((element, index) => {
+    const name = S.text(element, 'results.name');
+    const price = S.text(element, 'results.price');
+    const rating = S.text(element, 'results.rating');
+    const reviews = S.text(element, 'results.reviews').replace(/[()]/g, '');
+    const hotelClass = S.text(element, 'results.hotelClass');
+    const deal = S.text(element, 'results.deal');
+    const url = S.attr(element, 'results.url', 'href');
+    // Google's stable hotel id, e.g. /entity/ChMIhN7h2Pm4lYkBGgcvZy8xdGRr
+    const entityHref = S.attr(element, 'results.entityLink', 'data-href') || S.attr(element, 'results.entityLink', 'href') || url;
+    const entityMatch = entityHref.match(/\/entity\/(Ch[\w-]+)/);
+    const entityId = entityMatch ? entityMatch[1] : '';
+    const image = S.attr(element, 'results.image', 'src');
+    const location = S.text(element, 'results.location');
+    const amenities = S.all(element, 'results.amenities').map(el => el.textContent || '');
+    const description = S.text(element, 'results.description');
+
+    const hotelData = {
+      entityId,
+      name,
+      price,
+      rating,
+      reviews,
+      hotelClass,
+      deal,
+      url,
+      image,
+      location,
+      amenities,
+      description
+    };
+    console.log(`Hotel ${index + 1}:`, hotelData);
+    suggestions.push(hotelData);
+
+    // Streams the record to Node when the caller asked for it
+    if (typeof window.__hotelEmit === 'function') {
+      window.__hotelEmit(hotelData);
+    }
+  });
+
+  return suggestions;
+}
+
+module.exports = {
+  name: 'suggestions',
+  extract: extractSuggestions
+};
@@ -0,0 +1,217 @@
+// Words that vary between listings of the same property
+const NAME_STOPWORDS = new Set(['the', 'hotel', 'and', 'by', 'a', 'an']);
+
+// Lowercase ASCII with runs of anything else collapsed to "-"
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Id for a hotel without a Google entity id: the destination it was found
+// under plus its name, e.g. "paris--hotel-le-marais"
+function hotelKey(name, destination) {
+  const nameSlug = slugify(name);
+  if (!nameSlug) return null;
+  const destinationSlug = slugify(destination);
+  return destinationSlug ? `${destinationSlug}--${nameSlug}` : nameSlug;
+}
+
+// Pulls the Google hotel id out of /travel/hotels/entity/Ch... style links
+function entityIdFromUrl(url) {
+  const match = String(url || '').match(/\/entity\/(Ch[\w-]+)/) || String(url || '').match(/[?&]entity=(Ch[\w-]+)/);
+  return match ? match[1] : null;
+}
+
+function normalizeName(name) {
+  return slugify(name).split('-').filter(word => word && !NAME_STOPWORDS.has(word)).join(' ');
+}
+
+// Dice coefficient over character bigrams, 0 (nothing shared) to 1 (same)
+function similarity(left, right) {
+  const a = String(left || '').replace(/\s+/g, '');
+  const b = String(right || '').replace(/\s+/g, '');
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+// How sure we are that an observation and a stored hotel are the same
+// property. A shared entity id settles it; otherwise the name has to be a
+// close match, backed up by the address or location when the names differ
+// more than cosmetically.
+function matchScore(observation, hotel) {
+  if (observation.entityId && hotel.entity_id) {
+    return observation.entityId === hotel.entity_id ? 1 : 0;
+  }
+
+  const names = [hotel.name, ...(hotel.names || [])];
+  const name = Math.max(...names.map(candidate => similarity(normalizeName(observation.name), normalizeName(candidate))));
+  const address = similarity(slugify(observation.address), slugify(hotel.address));
+  const location = similarity(slugify(observation.location), slugify(hotel.location));
+  const sameDestination = !observation.destination || !hotel.destination ||
+    slugify(observation.destination) === slugify(hotel.destination);
+
+  if (!sameDestination && address < 0.8) return 0;
+  if (name >= 0.9) return name;
+  if (name >= 0.75 && (address >= 0.8 || location >= 0.9)) return name;
+  return 0;
+}
+
+function union(...lists) {
+  return Array.from(new Set(lists.flat().filter(Boolean)));
+}
+
+function pick(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (Array.isArray(value) && value.length === 0) return fallback;
+  return value;
+}
+
+// Folds an observation into a stored hotel (or starts a new one). Newer
+// non-empty values win, lists are merged and every name and id the hotel has
+// been seen under is kept so old references still resolve.
+function mergeHotel(hotel, observation, seenAt) {
+  const data = (hotel && hotel.data) || {};
+  const id = hotel ? hotel.id : (observation.entityId || hotelKey(observation.name, observation.destination));
+  const observedKey = hotelKey(observation.name, observation.destination);
+
+  return {
+    id,
+    entity_id: pick(hotel && hotel.entity_id, observation.entityId || null),
+    name: pick(observation.name, hotel && hotel.name),
+    names: union(hotel ? hotel.names : [], [observation.name]),
+    aliases: union(hotel ? hotel.aliases : [], [observedKey]).filter(alias => alias !== id),
+    destination: pick(hotel && hotel.destination, observation.destination || null),
+    location: pick(observation.location, hotel ? hotel.location : null),
+    address: pick(observation.address, hotel ? hotel.address : null),
+    data: {
+      ...data,
+      hotelClass: pick(observation.hotelClass, data.hotelClass ?? null),
+      rating: pick(observation.rating, data.rating ?? null),
+      reviewCount: pick(observation.reviewCount, data.reviewCount ?? null),
+      url: pick(observation.url, data.url || null),
+      image: pick(observation.image, data.image || null),
+      description: pick(observation.description, data.description || null),
+      phone: pick(observation.phone, data.phone || null),
+      websiteUrl: pick(observation.websiteUrl, data.websiteUrl || null),
+      checkInTime: pick(observation.checkInTime, data.checkInTime || null),
+      checkOutTime: pick(observation.checkOutTime, data.checkOutTime || null),
+      amenities: union(data.amenities || [], observation.amenities || []),
+      sources: union(data.sources || [], [observation.source])
+    },
+    first_seen: (hotel && hotel.first_seen) || seenAt,
+    last_seen: seenAt,
+    observations: ((hotel && hotel.observations) || 0) + 1,
+    updated_at: seenAt
+  };
+}
+
+// Resolves scraped hotels to canonical records and keeps those records up to
+// date. Observations are processed one batch at a time so two scrapes of the
+// same destination cannot both create the same hotel.
+class HotelCatalog {
+  constructor(options = {}) {
+    this.repository = options.repository || null;
+    this.queue = Promise.resolve();
+  }
+
+  // Required here because the storage migrations use hotelKey from this module
+  get store() {
+    return this.repository || require('./storage').getStorage().hotels;
+  }
+
+  // Finds a hotel by its canonical id or any id it was previously known by
+  async get(id) {
+    return (await this.store.get(id)) || this.store.findByAlias(id);
+  }
+
+  async find(observation, pending) {
+    const entityId = observation.entityId || entityIdFromUrl(observation.url);
+    if (entityId) {
+      const known = pending.find(hotel => hotel.entity_id === entityId) || await this.store.findByEntityId(entityId);
+      if (known) return known;
+    }
+
+    const candidates = [
+      ...pending,
+      ...await this.store.candidates({ destination: observation.destination })
+    ];
+    let best = null;
+    let bestScore = 0;
+    for (const hotel of candidates) {
+      const score = matchScore({ ...observation, entityId }, hotel);
+      if (score > bestScore) {
+        best = hotel;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Merges observations ({ name, destination, entityId, address, ... }) into
+  // the catalog and resolves with the canonical hotel for each, in order
+  observe(observations) {
+    const run = this.queue.then(async () => {
+      const seenAt = new Date().toISOString();
+      const pending = [];
+      const resolved = [];
+
+      for (const observation of observations) {
+        if (!observation || !observation.name) {
+          resolved.push(null);
+          continue;
+        }
+        const entityId = observation.entityId || entityIdFromUrl(observation.url);
+        const found = await this.find(observation, pending);
+        const existing = found && (pending.find(hotel => hotel.id === found.id) || found);
+        const merged = mergeHotel(existing, { ...observation, entityId }, seenAt);
+
+        const index = pending.findIndex(hotel => hotel.id === merged.id);
+        if (index === -1) pending.push(merged);
+        else pending[index] = merged;
+        resolved.push(merged);
+      }
+
+      if (pending.length > 0) await this.store.upsertMany(pending);
+      // Later observations of the same hotel in this batch carry the final state
+      return resolved.map(hotel => (hotel ? pending.find(item => item.id === hotel.id) : null));
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+const hotelCatalog = new HotelCatalog();
+
+module.exports = {
+  HotelCatalog,
+  hotelCatalog,
+  slugify,
+  hotelKey,
+  entityIdFromUrl,
+  normalizeName,
+  similarity,
+  matchScore,
+  mergeHotel
+};
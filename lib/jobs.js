@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getStorage } = require('./storage');
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class JobError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'JobError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Used as the abort reason when a running job is cancelled
+class JobCancelledError extends Error {
+  constructor(id) {
+    super(`Job ${id} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.statusCode = 409;
+  }
+}
+
+// Runs scrapes in the background so clients can submit work, get an ID back
+// straight away and poll for the outcome. Each job type is a handler
+// (params, run) => result; run carries an AbortSignal (run.signal) that is
+// triggered on cancel and run.progress(percent, message) for status updates.
+//
+// Jobs are kept in memory and saved through the jobs repository (see
+// lib/storage) after every change. On startup, load() requeues jobs that were
+// queued or interrupted mid-run.
+// Emits 'finished' with the job once it succeeds, fails or is cancelled.
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.repository = options.repository || null;
+    this.concurrency = options.concurrency || envInt('JOBS_CONCURRENCY', 2);
+    this.maxHistory = options.maxHistory || envInt('JOBS_MAX_HISTORY', 500);
+
+    this.types = new Map();
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Map();
+    this.loaded = false;
+    this.closed = false;
+    this.saving = Promise.resolve();
+  }
+
+  get store() {
+    return this.repository || getStorage().jobs;
+  }
+
+  // required lists the params a job of this type cannot run without, so bad
+  // submissions are rejected up front instead of failing later
+  registerType(type, handler, { required = [] } = {}) {
+    this.types.set(type, { handler, required });
+  }
+
+  listTypes() {
+    return Array.from(this.types.entries()).map(([type, { required }]) => ({ type, required }));
+  }
+
+  // Reads saved jobs and requeues unfinished ones. Call once at startup,
+  // after the job types are registered.
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let saved;
+    try {
+      saved = await this.store.loadAll();
+    } catch (error) {
+      console.error('Could not load saved jobs:', error.message);
+      return;
+    }
+
+    for (const job of saved) {
+      if (!FINISHED.includes(job.status)) {
+        if (job.status === 'running') job.restarts = (job.restarts || 0) + 1;
+        job.status = 'queued';
+        job.startedAt = null;
+        this.pending.push(job.id);
+        this.persist(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    if (this.pending.length > 0) {
+      console.log(`Requeued ${this.pending.length} unfinished jobs`);
+    }
+    this.drain();
+  }
+
+  // Saves are chained so they reach the repository in the order they were made
+  persist(job) {
+    const snapshot = JSON.parse(JSON.stringify(job));
+    this.saving = this.saving
+      .then(() => this.store.save(snapshot))
+      .catch(error => {
+        console.error(`Could not save job ${job.id}:`, error.message);
+      });
+    return this.saving;
+  }
+
+  // options.callbackUrl is stored on the job for the webhook dispatcher and
+  // options.owner is the id of the API key that submitted it (null for jobs
+  // the server submits itself)
+  // With maxActive, an owner that already has that many jobs queued or
+  // running is turned away with a 429
+  submit(type, params = {}, { callbackUrl, owner, maxActive } = {}) {
+    if (this.closed) {
+      throw new JobError('Job queue is shutting down', 503);
+    }
+    if (!this.types.has(type)) {
+      throw new JobError(`Unknown job type "${type}". Available types: ${Array.from(this.types.keys()).join(', ')}`, 400);
+    }
+    const missing = this.types.get(type).required.filter(name => params[name] === undefined || params[name] === '');
+    if (missing.length > 0) {
+      throw new JobError(`Missing required parameters for "${type}" jobs: ${missing.join(', ')}`, 400);
+    }
+    if (owner && maxActive && this.activeCount(owner) >= maxActive) {
+      throw new JobError(`At most ${maxActive} queued or running jobs are allowed per key`, 429);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      callbackUrl: callbackUrl || null,
+      owner: owner || null,
+      status: 'queued',
+      progress: { percent: 0, message: 'Queued' },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.prune();
+    this.persist(job);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Newest first, without results so listings stay small. owner limits the
+  // list to one key's jobs.
+  activeCount(owner) {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.owner === owner && !FINISHED.includes(job.status)) count++;
+    }
+    return count;
+  }
+
+  list({ status, type, owner, limit = 50 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!status || job.status === status) && (!type || job.type === type))
+      .filter(job => owner === undefined || job.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(({ result, deliveries, ...summary }) => summary);
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new JobError(`Job ${id} not found`, 404);
+    }
+    if (FINISHED.includes(job.status)) {
+      throw new JobError(`Job ${id} has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`, 409);
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pendingId => pendingId !== id);
+      this.finish(job, 'cancelled', { error: 'Cancelled before it started' });
+      return job;
+    }
+
+    // The running handler sees the abort and rejects; run() records the outcome
+    job.progress = { ...job.progress, message: 'Cancelling' };
+    this.running.get(id).abort(new JobCancelledError(id));
+    this.persist(job);
+    return job;
+  }
+
+  drain() {
+    while (!this.closed && this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) this.run(job);
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.progress = { percent: 0, message: 'Started' };
+    this.persist(job);
+    this.emit('started', job);
+
+    const run = {
+      jobId: job.id,
+      signal: controller.signal,
+      progress: (percent, message) => {
+        if (controller.signal.aborted) return;
+        job.progress = {
+          percent: Math.max(0, Math.min(100, Math.round(percent))),
+          message: message || job.progress.message
+        };
+        this.persist(job);
+      }
+    };
+
+    try {
+      const result = await this.types.get(job.type).handler(job.params, run);
+      if (controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: controller.signal.reason.message });
+      } else {
+        this.finish(job, 'succeeded', {
+          result: result === undefined ? null : result,
+          selectors: run.selectors,
+          occupancy: run.occupancy
+        });
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: controller.signal.reason.message });
+      } else if (this.closed) {
+        // Interrupted by shutdown; left as running so the next start requeues it
+        console.log(`Job ${job.id} (${job.type}) interrupted by shutdown`);
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+        this.finish(job, 'failed', {
+          error: error.message,
+          errorStatus: error.statusCode || 500,
+          selectors: run.selectors
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    job.progress = {
+      percent: status === 'succeeded' ? 100 : job.progress.percent,
+      message: status.charAt(0).toUpperCase() + status.slice(1)
+    };
+    this.prune();
+    this.persist(job);
+    this.emit('finished', job);
+  }
+
+  // Drops the oldest finished jobs beyond maxHistory
+  prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => FINISHED.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const excess = this.jobs.size - this.maxHistory;
+    const dropped = finished.slice(0, Math.max(0, excess)).map(job => job.id);
+    if (dropped.length === 0) return;
+
+    dropped.forEach(id => this.jobs.delete(id));
+    this.saving = this.saving
+      .then(() => this.store.remove(dropped))
+      .catch(error => {
+        console.error('Could not delete old jobs:', error.message);
+      });
+  }
+
+  stats() {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return { concurrency: this.concurrency, ...counts };
+  }
+
+  // Stops picking up work and waits for pending saves. Running jobs stay
+  // 'running' in storage so they are requeued on the next start.
+  async close() {
+    this.closed = true;
+    await this.saving;
+  }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = {
+  STATUSES,
+  FINISHED,
+  JobQueue,
+  JobError,
+  JobCancelledError,
+  jobQueue
+};
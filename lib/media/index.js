@@ -0,0 +1,53 @@
+const path = require('path');
+const LocalMediaStore = require('./localStore');
+const S3MediaStore = require('./s3Store');
+const { MediaError, mediaUrl, processImages } = require('./pipeline');
+
+// Downloaded hotel images and their thumbnails, served from /media/<key>. The
+// backend is chosen with MEDIA_BACKEND:
+//
+//   local   files in MEDIA_DIR (default data/media)
+//   s3      an S3-compatible bucket: MEDIA_S3_BUCKET, MEDIA_S3_ACCESS_KEY_ID,
+//           MEDIA_S3_SECRET_ACCESS_KEY and optionally MEDIA_S3_ENDPOINT (R2,
+//           MinIO, ...), MEDIA_S3_REGION and MEDIA_S3_PREFIX
+function createMediaStore(backend = process.env.MEDIA_BACKEND || 'local') {
+  if (backend === 'local') {
+    return new LocalMediaStore({ dir: process.env.MEDIA_DIR || path.join(__dirname, '..', '..', 'data', 'media') });
+  }
+  if (backend === 's3') {
+    return new S3MediaStore({
+      endpoint: process.env.MEDIA_S3_ENDPOINT,
+      bucket: process.env.MEDIA_S3_BUCKET,
+      region: process.env.MEDIA_S3_REGION,
+      accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+      prefix: process.env.MEDIA_S3_PREFIX
+    });
+  }
+  throw new Error(`Unknown MEDIA_BACKEND "${backend}". Use "local" or "s3".`);
+}
+
+let mediaStore = null;
+
+function getMediaStore() {
+  if (!mediaStore) {
+    mediaStore = createMediaStore();
+    console.log(`Using ${mediaStore.name} media store (${mediaStore.description})`);
+  }
+  return mediaStore;
+}
+
+// Only stored images and thumbnails are public; the per-URL records under
+// sources/ stay internal
+function isPublicMediaKey(key) {
+  return /^images\/[a-f0-9]+\/[a-z0-9]+\.(jpg|png|webp|gif|avif)$/.test(key);
+}
+
+module.exports = {
+  MediaError,
+  createMediaStore,
+  getMediaStore,
+  isPublicMediaKey,
+  mediaUrl,
+  processImages
+};
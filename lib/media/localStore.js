@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif',
+  '.json': 'application/json'
+};
+
+// Media objects as plain files under dir, one file per key. Keys are
+// slash-separated paths such as "images/<id>/w320.webp"; the content type
+// follows from the extension.
+class LocalMediaStore {
+  constructor({ dir }) {
+    this.name = 'local';
+    this.description = dir;
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(`${this.dir}${path.sep}`)) {
+      throw new Error(`Media key "${key}" is outside the media directory`);
+    }
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.fileFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, file);
+  }
+
+  // { body, contentType } or null when there is no such object
+  async get(key) {
+    try {
+      const body = await fs.promises.readFile(this.fileFor(key));
+      return { body, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      return (await fs.promises.stat(this.fileFor(key))).isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.fileFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalMediaStore;
@@ -0,0 +1,63 @@
+// DCT perceptual hash. The image is reduced to a 32x32 greyscale grid and the
+// low frequencies (the top-left 8x8 of its 2D DCT) are compared with their
+// median, taken without the overall brightness (DC) term; each one becomes
+// one bit. Resized, re-encoded or slightly cropped copies of a photo land a
+// few bits apart while different photos differ in roughly half of the 64.
+const SIZE = 32;
+const LOW = 8;
+
+// cos((2x + 1) * u * pi / 2N) for every x and u, computed once
+const COSINES = Array.from({ length: LOW }, (_, u) =>
+  Array.from({ length: SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SIZE)))
+);
+
+// pixels holds SIZE * SIZE greyscale values, row by row. Returns 16 hex
+// characters.
+function perceptualHash(pixels) {
+  if (!pixels || pixels.length !== SIZE * SIZE) {
+    throw new Error(`perceptualHash expects ${SIZE * SIZE} greyscale pixels, got ${pixels ? pixels.length : 0}`);
+  }
+
+  // Only the low frequencies are needed, so the DCT is computed for those
+  // alone: first along rows, then down the columns
+  const rows = Array.from({ length: SIZE }, (_, y) =>
+    COSINES.map(cosine => {
+      let sum = 0;
+      for (let x = 0; x < SIZE; x++) sum += pixels[y * SIZE + x] * cosine[x];
+      return sum;
+    })
+  );
+  const coefficients = [];
+  for (let v = 0; v < LOW; v++) {
+    for (let u = 0; u < LOW; u++) {
+      let sum = 0;
+      for (let y = 0; y < SIZE; y++) sum += rows[y][u] * COSINES[v][y];
+      coefficients.push(sum);
+    }
+  }
+
+  const ac = coefficients.slice(1);
+  const median = [...ac].sort((a, b) => a - b)[Math.floor(ac.length / 2)];
+  let hash = 0n;
+  for (const value of coefficients) {
+    hash = (hash << 1n) | (value > median ? 1n : 0n);
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two hashes
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = {
+  HASH_SIZE: SIZE,
+  perceptualHash,
+  hammingDistance
+};
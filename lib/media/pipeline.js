@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const sharp = require('sharp');
+const { HASH_SIZE, perceptualHash, hammingDistance } = require('./phash');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+class MediaError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'MediaError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Raster formats kept as originals, with the extension they are stored
+// under. Anything else (SVG in particular, which could carry scripts onto our
+// origin) is refused.
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', avif: 'avif' };
+
+// Widths of the WebP thumbnails made for every image, smallest first.
+// Widths at or above the image's own are skipped.
+function thumbnailWidths() {
+  return (process.env.MEDIA_THUMBNAIL_WIDTHS || '160,320,640')
+    .split(',')
+    .map(width => parseInt(width, 10))
+    .filter(width => width > 0)
+    .sort((a, b) => a - b);
+}
+
+// Public URL for a stored object: our /media route unless MEDIA_PUBLIC_URL
+// points at a CDN in front of it
+function mediaUrl(key) {
+  return `${(process.env.MEDIA_PUBLIC_URL || '').replace(/\/+$/, '')}/media/${key}`;
+}
+
+function sourceKey(url) {
+  return `sources/${crypto.createHash('sha256').update(url).digest('hex')}.json`;
+}
+
+async function download(url, signal) {
+  const response = await fetch(url, {
+    signal,
+    timeout: envInt('MEDIA_DOWNLOAD_TIMEOUT_MS', 15000),
+    size: envInt('MEDIA_MAX_BYTES', 15 * 1024 * 1024),
+    headers: { Accept: 'image/avif,image/webp,image/*;q=0.8' }
+  });
+  if (!response.ok) {
+    throw new MediaError(`Download failed with status ${response.status}`, 502);
+  }
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.startsWith('image/')) {
+    throw new MediaError(`Not an image (${contentType || 'no content type'})`, 415);
+  }
+  return response.buffer();
+}
+
+// Dimensions as displayed, format and perceptual hash of a downloaded image
+async function inspect(buffer) {
+  const metadata = await sharp(buffer).metadata();
+  if (!EXTENSIONS[metadata.format]) {
+    throw new MediaError(`Unsupported image format "${metadata.format}"`, 415);
+  }
+  const pixels = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(HASH_SIZE, HASH_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // EXIF orientations 5 to 8 are stored turned by 90 degrees
+  const turned = metadata.orientation >= 5;
+  return {
+    width: turned ? metadata.height : metadata.width,
+    height: turned ? metadata.width : metadata.height,
+    format: metadata.format,
+    bytes: buffer.length,
+    phash: perceptualHash(pixels)
+  };
+}
+
+// Stores the original under a content-addressed id plus one WebP thumbnail
+// per configured width, and records the result under the source URL so the
+// same URL is not downloaded again
+async function store(mediaStore, url, buffer, details) {
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 24);
+  const original = `images/${id}/original.${EXTENSIONS[details.format]}`;
+  await mediaStore.put(original, buffer, { contentType: `image/${details.format}` });
+
+  const thumbnails = [];
+  for (const width of thumbnailWidths().filter(size => size < details.width)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width })
+      .webp({ quality: envInt('MEDIA_THUMBNAIL_QUALITY', 80) })
+      .toBuffer({ resolveWithObject: true });
+    const key = `images/${id}/w${width}.webp`;
+    await mediaStore.put(key, data, { contentType: 'image/webp' });
+    thumbnails.push({ width: info.width, height: info.height, key });
+  }
+
+  const record = { id, ...details, original, thumbnails, storedAt: new Date().toISOString() };
+  await mediaStore.put(sourceKey(url), JSON.stringify(record), { contentType: 'application/json' });
+  return record;
+}
+
+// Runs fn over items with at most limit calls in flight, keeping the order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Downloads every scraped image, reads its dimensions, format and perceptual
+// hash, drops near-duplicates (at most MEDIA_DUPLICATE_DISTANCE differing
+// bits, keeping the larger copy in the place of the first) and stores the
+// rest with their thumbnails. Images already stored for the same source URL
+// are reused without downloading them again. Images that cannot be fetched or
+// decoded are listed in failed instead of failing the batch.
+async function processImages(images, { mediaStore, signal } = {}) {
+  const failed = [];
+  const pending = new Map();
+
+  const inspected = await mapLimit(images, envInt('MEDIA_CONCURRENCY', 4) || 1, async image => {
+    try {
+      const stored = await mediaStore.get(sourceKey(image.url));
+      if (stored) return { image, record: JSON.parse(stored.body.toString('utf8')) };
+
+      const buffer = await download(image.url, signal);
+      const details = await inspect(buffer);
+      pending.set(image.url, buffer);
+      return { image, details };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error('Skipping image', image.url, error.message);
+      failed.push({ url: image.url, error: error.message });
+      return null;
+    }
+  });
+
+  const maxDistance = envInt('MEDIA_DUPLICATE_DISTANCE', 8);
+  const kept = [];
+  const duplicates = [];
+  for (const item of inspected.filter(Boolean)) {
+    const info = item.record || item.details;
+    const match = kept.find(other => hammingDistance((other.record || other.details).phash, info.phash) <= maxDistance);
+    if (!match) {
+      kept.push(item);
+      continue;
+    }
+
+    const matchInfo = match.record || match.details;
+    const larger = info.width * info.height > matchInfo.width * matchInfo.height;
+    const [keep, drop] = larger ? [item, match] : [match, item];
+    if (larger) kept[kept.indexOf(match)] = item;
+    for (const duplicate of duplicates) {
+      if (duplicate.duplicateOf === drop.image.url) duplicate.duplicateOf = keep.image.url;
+    }
+    duplicates.push({
+      url: drop.image.url,
+      duplicateOf: keep.image.url,
+      distance: hammingDistance(info.phash, matchInfo.phash)
+    });
+  }
+  console.log(`Images: ${kept.length} kept, ${duplicates.length} near-duplicates, ${failed.length} failed`);
+
+  const processed = await mapLimit(kept, envInt('MEDIA_CONCURRENCY', 4) || 1, async ({ image, record, details }) => {
+    try {
+      const saved = record || await store(mediaStore, image.url, pending.get(image.url), details);
+      return {
+        ...image,
+        url: mediaUrl(saved.original),
+        originalUrl: image.url,
+        width: saved.width,
+        height: saved.height,
+        format: saved.format,
+        bytes: saved.bytes,
+        phash: saved.phash,
+        thumbnails: saved.thumbnails.map(({ width, height, key }) => ({ width, height, url: mediaUrl(key) }))
+      };
+    } catch (error) {
+      console.error('Could not store image', image.url, error);
+      failed.push({ url: image.url, error: error.message });
+      return null;
+    }
+  });
+
+  return { images: processed.filter(Boolean), duplicates, failed };
+}
+
+module.exports = {
+  MediaError,
+  mediaUrl,
+  processImages
+};
@@ -0,0 +1,62 @@
+// Numeric parsing for the review metrics shown on hotel cards. Google and
+// hotels.com render these differently per locale ("4.5" vs "4,5", "1,204" vs
+// "1.204" vs "1 204", "1.2K"), so the raw strings are kept for display and
+// these helpers produce values that sort and compare correctly.
+
+// Ratings are returned on a 5-point scale. Values on a 10-point scale (an
+// explicit "/10", or anything above 5) are halved so sources can be compared.
+function parseRating(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  const text = String(value);
+  const match = text.match(/\d+(?:[.,]\d+)?/);
+  if (!match) return null;
+
+  let rating = Number(match[0].replace(',', '.'));
+  if (/\/\s*10\b|out of 10/i.test(text) || rating > 5) rating /= 2;
+  if (!Number.isFinite(rating) || rating < 0 || rating > 5) return null;
+  return Math.round(rating * 10) / 10;
+}
+
+// Review counts such as "(1,204)", "1.204 reviews", "1 204", "1.2K" or "12,3 k"
+function parseReviewCount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+  if (!value) return null;
+
+  const match = String(value).match(/(\d[\d.,\s  ]*)\s*([KkMm])?\b/);
+  if (!match) return null;
+
+  const digits = match[1].replace(/[\s  ]/g, '').replace(/[.,]$/, '');
+  if (match[2]) {
+    const multiplier = /k/i.test(match[2]) ? 1000 : 1000000;
+    const count = Number(digits.replace(',', '.')) * multiplier;
+    return Number.isFinite(count) ? Math.round(count) : null;
+  }
+
+  const count = Number(digits.replace(/[.,]/g, ''));
+  return Number.isFinite(count) ? count : null;
+}
+
+// Star class from text like "5-star hotel", "4 stars", "3 étoiles",
+// "4-Sterne-Hotel" or "★★★★". Half stars are kept (3.5).
+function parseHotelClass(value) {
+  if (typeof value === 'number') return value >= 1 && value <= 5 ? value : null;
+  if (!value) return null;
+
+  const text = String(value);
+  const stars = (text.match(/★/g) || []).length;
+  if (stars > 0) return Math.min(stars, 5);
+
+  const match = text.match(/(\d(?:[.,]5)?)\s*-?\s*(?:stars?|étoiles?|estrellas?|stelle|sterne|звезд|つ星)/i);
+  if (!match) return null;
+
+  const hotelClass = Number(match[1].replace(',', '.'));
+  return hotelClass >= 1 && hotelClass <= 5 ? hotelClass : null;
+}
+
+module.exports = {
+  parseRating,
+  parseReviewCount,
+  parseHotelClass
+};
@@ -0,0 +1,48 @@
+const log = require('./log');
+const webhook = require('./webhook');
+const email = require('./smtp');
+
+// Alert channels. Each notifier has validate(config), which checks the
+// client supplied settings and returns the ones to store, and
+// send(config, message) resolving with { delivered, error }. Messages carry
+// { event, subject, text, payload }.
+const NOTIFIERS = new Map([log, webhook, email].map(notifier => [notifier.type, notifier]));
+
+class NotifierError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'NotifierError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getNotifier(type) {
+  const notifier = NOTIFIERS.get(type);
+  if (!notifier) {
+    throw new NotifierError(`Unknown notifier "${type}". Use one of: ${listNotifiers().join(', ')}`, 400);
+  }
+  return notifier;
+}
+
+function listNotifiers() {
+  return Array.from(NOTIFIERS.keys());
+}
+
+function validateNotifier(config = { type: 'log' }) {
+  return getNotifier(config.type).validate(config);
+}
+
+async function notify(config, message) {
+  try {
+    return await getNotifier(config.type).send(config, message);
+  } catch (error) {
+    return { delivered: false, error: error.message };
+  }
+}
+
+module.exports = {
+  NotifierError,
+  listNotifiers,
+  validateNotifier,
+  notify
+};
@@ -0,0 +1,14 @@
+// Writes alerts to the server log. Handy in development and as a fallback
+// when nothing else is configured.
+module.exports = {
+  type: 'log',
+
+  validate() {
+    return { type: 'log' };
+  },
+
+  async send(config, message) {
+    console.log(`[alert] ${message.subject}\n${message.text}`);
+    return { delivered: true };
+  }
+};
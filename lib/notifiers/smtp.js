@@ -0,0 +1,139 @@
+const net = require('net');
+const os = require('os');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class SmtpError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'SmtpError';
+    this.statusCode = statusCode;
+  }
+}
+
+const EMAIL = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// Plain SMTP (no TLS) for local catchers such as MailHog or MailDev:
+// SMTP_HOST (default localhost), SMTP_PORT (default 1025), SMTP_FROM and an
+// optional SMTP_USER / SMTP_PASS sent with AUTH PLAIN
+function smtpConfig() {
+  return {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: envInt('SMTP_PORT', 1025),
+    from: process.env.SMTP_FROM || 'hotel-alerts@localhost',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    timeout: envInt('SMTP_TIMEOUT_MS', 10000)
+  };
+}
+
+// Reads SMTP replies, resolving each complete (possibly multi-line) reply.
+// Once the connection has failed or closed, every later read rejects too.
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const waiting = [];
+  const replies = [];
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') };
+        lines = [];
+        if (waiting.length > 0) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  });
+
+  const fail = error => {
+    failure = failure || error;
+    while (waiting.length > 0) waiting.shift().reject(failure);
+  };
+  socket.on('error', fail);
+  socket.on('close', () => fail(new SmtpError('SMTP connection closed', 502)));
+
+  return () => {
+    if (replies.length > 0) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+}
+
+function formatMessage({ from, to, subject, text }) {
+  // Dot-stuffing: lines starting with "." get an extra one
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body
+  ].join('\r\n');
+}
+
+async function sendMail({ to, subject, text }) {
+  const config = smtpConfig();
+  const socket = net.connect(config.port, config.host);
+  socket.setTimeout(config.timeout, () => socket.destroy(new SmtpError(`SMTP timed out after ${config.timeout}ms`, 504)));
+  const nextReply = replyReader(socket);
+
+  const expect = async (command, codes) => {
+    if (command !== null) socket.write(`${command}\r\n`);
+    const reply = await nextReply();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${command ? command.split(' ')[0] : 'greeting'} failed: ${reply.text}`, 502);
+    }
+    return reply;
+  };
+
+  try {
+    await expect(null, [220]);
+    await expect(`EHLO ${os.hostname()}`, [250]);
+    if (config.user) {
+      const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ''}`).toString('base64');
+      await expect(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await expect(`MAIL FROM:<${config.from}>`, [250]);
+    await expect(`RCPT TO:<${to}>`, [250, 251]);
+    await expect('DATA', [354]);
+    await expect(`${formatMessage({ from: config.from, to, subject, text })}\r\n.`, [250]);
+    await expect('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  type: 'email',
+  SmtpError,
+
+  validate(config) {
+    if (!config.to || !EMAIL.test(config.to)) {
+      throw new SmtpError('notify.to must be an email address for email notifications', 400);
+    }
+    return { type: 'email', to: config.to };
+  },
+
+  async send(config, message) {
+    try {
+      await sendMail({ to: config.to, subject: message.subject, text: message.text });
+      return { delivered: true };
+    } catch (error) {
+      return { delivered: false, error: error.message };
+    }
+  }
+};
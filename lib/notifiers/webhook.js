@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { WebhookError, validateCallbackUrl, postCallback, sign } = require('../webhooks');
+
+// POSTs the alert as JSON, signed like job callbacks (X-Webhook-Signature is
+// the hex HMAC-SHA256 of "<timestamp>.<body>" with WEBHOOK_SECRET)
+module.exports = {
+  type: 'webhook',
+
+  validate(config) {
+    if (!config.url) {
+      throw new WebhookError('notify.url is required for webhook notifications', 400);
+    }
+    return { type: 'webhook', url: validateCallbackUrl(config.url) };
+  },
+
+  async send(config, message) {
+    const body = JSON.stringify({ event: message.event, subject: message.subject, ...message.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 10000);
+
+    try {
+      const response = await postCallback(config.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'hotel-scraper-api-webhooks',
+          'X-Webhook-Event': message.event,
+          'X-Webhook-Delivery': crypto.randomUUID(),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(process.env.WEBHOOK_SECRET || '', timestamp, body)}`
+        },
+        body,
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        return { delivered: false, error: `Receiver responded with ${response.status}` };
+      }
+      return { delivered: true };
+    } catch (error) {
+      return { delivered: false, error: error.name === 'AbortError' ? 'Timed out after 10000ms' : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
@@ -0,0 +1,95 @@
+class OccupancyError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'OccupancyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const MAX_ROOMS = 9;
+const MAX_GUESTS = 30;
+const MAX_CHILD_AGE = 17;
+
+function count(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new OccupancyError(`occupancy.${name} must be an integer of at least ${min}`, 400);
+  }
+  return number;
+}
+
+// Normalizes { rooms, adults, children: [ages] }. Requests that predate the
+// occupancy object pass travelers instead, read as that many adults in one
+// room; with neither the default is two adults.
+function normalizeOccupancy(occupancy, { travelers } = {}) {
+  if (occupancy === undefined || occupancy === null) {
+    const adults = travelers === undefined || travelers === null || travelers === '' ? 2 : count(travelers, 'adults', 1);
+    return normalizeOccupancy({ adults });
+  }
+  if (typeof occupancy !== 'object' || Array.isArray(occupancy)) {
+    throw new OccupancyError('occupancy must be an object such as { "rooms": 1, "adults": 2, "children": [7] }', 400);
+  }
+
+  const rooms = occupancy.rooms === undefined ? 1 : count(occupancy.rooms, 'rooms', 1);
+  const adults = occupancy.adults === undefined ? 2 : count(occupancy.adults, 'adults', 1);
+  const children = occupancy.children === undefined ? [] : occupancy.children;
+  if (!Array.isArray(children)) {
+    throw new OccupancyError('occupancy.children must be a list of ages, e.g. [4, 9]', 400);
+  }
+  const ages = children.map(age => {
+    const number = Number(age);
+    if (!Number.isInteger(number) || number < 0 || number > MAX_CHILD_AGE) {
+      throw new OccupancyError(`Child ages must be whole years from 0 to ${MAX_CHILD_AGE}`, 400);
+    }
+    return number;
+  });
+
+  if (rooms > MAX_ROOMS) {
+    throw new OccupancyError(`occupancy.rooms must be at most ${MAX_ROOMS}`, 400);
+  }
+  if (adults < rooms) {
+    throw new OccupancyError('Every room needs at least one adult', 400);
+  }
+  if (adults + ages.length > MAX_GUESTS) {
+    throw new OccupancyError(`At most ${MAX_GUESTS} guests per search`, 400);
+  }
+  return { rooms, adults, children: ages };
+}
+
+function totalGuests(occupancy) {
+  return occupancy.adults + occupancy.children.length;
+}
+
+function plural(number, word) {
+  return `${number} ${word}${number === 1 ? '' : 's'}`;
+}
+
+// "2 adults, 2 children (4, 9), 1 room"
+function describeOccupancy(occupancy) {
+  const parts = [plural(occupancy.adults, 'adult')];
+  if (occupancy.children.length > 0) {
+    parts.push(`${occupancy.children.length} ${occupancy.children.length === 1 ? 'child' : 'children'} (${occupancy.children.join(', ')})`);
+  }
+  parts.push(plural(occupancy.rooms, 'room'));
+  return parts.join(', ');
+}
+
+// What a scraper reports back: the occupancy asked for, whether the page
+// took all of it and, when not, what was left out and why
+function occupancyReport(requested, { applied = true, unapplied = [], reason = null } = {}) {
+  return {
+    requested,
+    description: describeOccupancy(requested),
+    applied: applied && unapplied.length === 0,
+    unapplied,
+    reason
+  };
+}
+
+module.exports = {
+  OccupancyError,
+  normalizeOccupancy,
+  totalGuests,
+  describeOccupancy,
+  occupancyReport
+};
@@ -0,0 +1,65 @@
+// Total cost of a room offer for the whole stay. Falls back to the nightly
+// rate times the number of nights when the page only showed a nightly price.
+function stayTotal(room, nights) {
+  const price = room.totalPrice || room.basePrice;
+  if (!price) return null;
+  if (typeof price.total === 'number') return price.total;
+  if (typeof price.perNight === 'number' && nights) return price.perNight * nights;
+  return typeof price.amount === 'number' ? price.amount : null;
+}
+
+function byTotal(nights) {
+  return (a, b) => {
+    const left = stayTotal(a, nights);
+    const right = stayTotal(b, nights);
+    if (left === null) return right === null ? 0 : 1;
+    if (right === null) return -1;
+    return left - right;
+  };
+}
+
+// Orders each provider's rooms by total and the providers by their cheapest
+// room. Unpriced rooms and providers go last.
+function sortListings(listings, nights) {
+  const sorted = listings.map(listing => ({ ...listing, rooms: [...(listing.rooms || [])].sort(byTotal(nights)) }));
+  return sorted.sort((a, b) => byTotal(nights)(a.rooms[0] || {}, b.rooms[0] || {}));
+}
+
+function roomTypeKey(type) {
+  return String(type || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// The cheapest provider for each room type, cheapest room type first
+function cheapestByRoomType(listings, nights) {
+  const cheapest = new Map();
+  for (const listing of listings) {
+    for (const room of listing.rooms || []) {
+      if (!room.type) continue;
+      const key = roomTypeKey(room.type);
+      const entry = cheapest.get(key) || { roomType: room.type, offers: 0, total: null };
+      entry.offers += 1;
+      cheapest.set(key, entry);
+
+      const total = stayTotal(room, nights);
+      if (total === null || (entry.total !== null && entry.total <= total)) continue;
+      const price = room.totalPrice || room.basePrice;
+      Object.assign(entry, {
+        provider: listing.provider || null,
+        total: Math.round(total * 100) / 100,
+        perNight: nights ? Math.round(total / nights * 100) / 100 : null,
+        currency: price.currency || null,
+        memberDeal: Boolean(room.memberDeal),
+        url: room.url || null
+      });
+    }
+  }
+  return Array.from(cheapest.values())
+    .filter(entry => entry.total !== null)
+    .sort((a, b) => a.total - b.total);
+}
+
+module.exports = {
+  stayTotal,
+  sortListings,
+  cheapestByRoomType
+};
@@ -0,0 +1,141 @@
+const { stayTotal } = require('./offers');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+class CalendarError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'CalendarError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function addDays(value, days) {
+  return new Date(toDate(value).getTime() + days * DAY).toISOString().slice(0, 10);
+}
+
+// Every check-in from `from` to `to` (inclusive) combined with every stay
+// length from minNights to maxNights. The grid is capped at
+// CALENDAR_MAX_STAYS combinations since each one is a page load.
+function buildStays({ from, to, minNights = 1, maxNights = minNights }) {
+  if (!DATE.test(from || '') || !DATE.test(to || '')) {
+    throw new CalendarError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+  if (to < from) {
+    throw new CalendarError('to must not be before from', 400);
+  }
+  const min = parseInt(minNights, 10);
+  const max = parseInt(maxNights, 10);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > 30) {
+    throw new CalendarError('Stay lengths must satisfy 1 <= minNights <= maxNights <= 30', 400);
+  }
+
+  const days = Math.round((toDate(to) - toDate(from)) / DAY) + 1;
+  const limit = envInt('CALENDAR_MAX_STAYS', 60);
+  if (days * (max - min + 1) > limit) {
+    throw new CalendarError(
+      `A ${days}-day window with ${max - min + 1} stay lengths is ${days * (max - min + 1)} combinations; the limit is ${limit}`,
+      400
+    );
+  }
+
+  const stays = [];
+  for (let day = 0; day < days; day++) {
+    const checkIn = addDays(from, day);
+    for (let nights = min; nights <= max; nights++) {
+      stays.push({ checkIn, checkOut: addDays(checkIn, nights), nights });
+    }
+  }
+  return stays;
+}
+
+// Cheapest total for the stay across every provider and room
+function cheapestTotal(listings, nights) {
+  let cheapest = null;
+  for (const listing of listings || []) {
+    for (const room of listing.rooms || []) {
+      const total = stayTotal(room, nights);
+      if (total === null) continue;
+      const price = room.totalPrice || room.basePrice;
+      if (!cheapest || total < cheapest.total) {
+        cheapest = {
+          total: Math.round(total * 100) / 100,
+          perNight: Math.round(total / nights * 100) / 100,
+          currency: price.currency || null,
+          provider: listing.provider || null,
+          room: room.type || null,
+          url: room.url || null
+        };
+      }
+    }
+  }
+  return cheapest;
+}
+
+// Turns scraped stays into a matrix with one row per check-in date and one
+// column per stay length. Each cell holds the lowest total for that stay; the
+// cheapest per night overall is flagged best, as is the cheapest stay of each
+// length.
+function buildCalendar(stays) {
+  const nightsList = Array.from(new Set(stays.map(stay => stay.nights))).sort((a, b) => a - b);
+  const cells = stays.map(stay => ({
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    nights: stay.nights,
+    ...(cheapestTotal(stay.listings, stay.nights) || { total: null, perNight: null, currency: null }),
+    error: stay.error || undefined,
+    best: false,
+    bestForNights: false
+  }));
+
+  const priced = cells.filter(cell => cell.total !== null);
+  const best = priced.reduce((lowest, cell) => (!lowest || cell.perNight < lowest.perNight ? cell : lowest), null);
+  if (best) best.best = true;
+
+  const bestByNights = {};
+  for (const nights of nightsList) {
+    const cheapest = priced
+      .filter(cell => cell.nights === nights)
+      .reduce((lowest, cell) => (!lowest || cell.total < lowest.total ? cell : lowest), null);
+    if (cheapest) {
+      cheapest.bestForNights = true;
+      bestByNights[nights] = cheapest;
+    }
+  }
+
+  const rows = [];
+  for (const cell of cells) {
+    let row = rows.find(item => item.checkIn === cell.checkIn);
+    if (!row) {
+      row = { checkIn: cell.checkIn, stays: Object.fromEntries(nightsList.map(nights => [nights, null])) };
+      rows.push(row);
+    }
+    row.stays[cell.nights] = cell;
+  }
+
+  return {
+    nights: nightsList,
+    rows,
+    best,
+    bestByNights,
+    priced: priced.length,
+    missing: cells.length - priced.length
+  };
+}
+
+module.exports = {
+  CalendarError,
+  buildStays,
+  buildCalendar,
+  cheapestTotal
+};
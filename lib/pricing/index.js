@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+
+// Turns scraped price strings such as "$123", "€1.234,50 total" or
+// "JPY 18,000 incl. taxes" into structured prices, and converts them between
+// currencies using a local exchange-rate table (EXCHANGE_RATES_FILE, defaulting
+// to exchange-rates.json next to this file).
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'exchange-rates.json');
+
+// Currency markers checked in order, so prefixed dollars come before "$"
+const CURRENCY_MARKERS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['MX$', 'MXN'],
+  ['S$', 'SGD'],
+  ['R$', 'BRL'],
+  ['CN¥', 'CNY'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₺', 'TRY'],
+  ['₪', 'ILS'],
+  ['฿', 'THB'],
+  ['zł', 'PLN'],
+  ['Kč', 'CZK'],
+  ['Ft', 'HUF'],
+  ['$', null] // plain dollars resolve to DEFAULT_CURRENCY
+];
+
+// "kr" is written for four currencies. It is read from the requested
+// currency or the locale's region or language, and left unknown otherwise.
+const KRONER = {
+  SE: 'SEK', NO: 'NOK', DK: 'DKK', IS: 'ISK',
+  sv: 'SEK', nb: 'NOK', nn: 'NOK', no: 'NOK', da: 'DKK', is: 'ISK'
+};
+
+function kronaFor({ locale, expected } = {}) {
+  if (Object.values(KRONER).includes(expected)) return expected;
+  if (!locale) return null;
+  const [language, region] = String(locale).split(/[-_]/);
+  return KRONER[(region || '').toUpperCase()] || KRONER[language.toLowerCase()] || null;
+}
+
+class PricingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = statusCode;
+  }
+}
+
+let rateTable = null;
+
+function loadRates() {
+  if (!rateTable) {
+    const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+    rateTable = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return rateTable;
+}
+
+function defaultCurrency() {
+  return (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+}
+
+// Validates a requested currency code against the rate table
+function resolveCurrency(code) {
+  if (!code) return null;
+  const currency = String(code).trim().toUpperCase();
+  const { rates } = loadRates();
+  if (!(currency in rates)) {
+    throw new PricingError(
+      `Unsupported currency "${code}". Supported currencies: ${Object.keys(rates).join(', ')}`
+    );
+  }
+  return currency;
+}
+
+function detectCurrency(text, hints) {
+  const code = text.match(/\b([A-Z]{3})\b/);
+  if (code && code[1] in loadRates().rates) return code[1];
+
+  for (const [marker, currency] of CURRENCY_MARKERS) {
+    if (text.includes(marker)) return currency || defaultCurrency();
+  }
+  if (/\bkr\b/i.test(text)) return kronaFor(hints);
+  return null;
+}
+
+// Reads the first number in the text, working out whether "," and "." are
+// thousands or decimal separators ("1,234.50", "1.234,50"). A space only
+// separates thousands between groups of three digits ("1 234"), so the "2"
+// in "$120 2 nights" is not read as part of the price.
+function parseAmount(text) {
+  const match = text.match(/\d{1,3}(?:[\s  ]\d{3})+(?:[.,]\d+)?(?!\d)|\d[\d.,]*/);
+  if (!match) return null;
+
+  let digits = match[0].replace(/[\s  ]/g, '').replace(/[.,]$/, '');
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    digits = digits.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const groups = digits.split(separator);
+    const isThousands = groups.length > 2 || groups[groups.length - 1].length === 3;
+    digits = isThousands ? groups.join('') : groups.join('.');
+  }
+
+  const amount = Number(digits);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function detectBasis(text, fallback) {
+  if (/\btotal\b|\bfor \d+ nights?\b|\bper stay\b/i.test(text)) return 'total';
+  if (/\bnight(ly)?\b|\/\s*night|\bper night\b/i.test(text)) return 'perNight';
+  return fallback;
+}
+
+function detectTaxes(text, fallback) {
+  if (/\b(incl\.?|including|with)\s+(all\s+)?taxes|taxes\s+(and|&)\s+fees\s+included/i.test(text)) return true;
+  if (/(\+|\bexcl\.?|\bexcluding|\bbefore|\bplus)\s*taxes/i.test(text)) return false;
+  return fallback;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Number of nights between two YYYY-MM-DD dates, or null when unknown
+function nightsBetween(checkIn, checkOut) {
+  if (!checkIn || !checkOut) return null;
+  const start = Date.parse(checkIn);
+  const end = Date.parse(checkOut);
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+  const nights = Math.round((end - start) / (24 * 60 * 60 * 1000));
+  return nights > 0 ? nights : null;
+}
+
+// Parses a scraped price string. The basis (perNight or total) and whether
+// taxes are included are read from the text when it says so, otherwise taken
+// from the options. With a night count the other figure is derived, so a
+// nightly price also carries its total for the stay and vice versa.
+// locale (such as "nb-NO") and expected (the currency the prices were
+// requested in) settle which currency an ambiguous "kr" means.
+function parsePrice(value, { nights = null, basis = 'perNight', includesTaxes = false, locale = null, expected = null } = {}) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const amount = parseAmount(text);
+  if (amount === null) return null;
+
+  const priceBasis = detectBasis(text, basis);
+  let perNight = null;
+  let total = null;
+
+  if (priceBasis === 'total') {
+    total = amount;
+    perNight = nights ? roundAmount(amount / nights) : null;
+  } else {
+    perNight = amount;
+    total = nights ? roundAmount(amount * nights) : null;
+  }
+
+  return {
+    amount,
+    currency: detectCurrency(text, { locale, expected }),
+    basis: priceBasis,
+    perNight,
+    total,
+    nights,
+    includesTaxes: detectTaxes(text, includesTaxes),
+    text
+  };
+}
+
+// Returns a copy of a parsed price in the target currency. Prices whose
+// currency is unknown or missing from the rate table are returned unchanged.
+function convertPrice(price, currency) {
+  if (!price || !currency || !price.currency || price.currency === currency) return price;
+
+  const { rates } = loadRates();
+  if (!(price.currency in rates) || !(currency in rates)) return price;
+
+  const factor = rates[currency] / rates[price.currency];
+  const convert = amount => (amount === null ? null : roundAmount(amount * factor));
+
+  return {
+    ...price,
+    amount: convert(price.amount),
+    currency,
+    perNight: convert(price.perNight),
+    total: convert(price.total),
+    original: { amount: price.amount, currency: price.currency }
+  };
+}
+
+// Parses and, when a target currency is given, converts in one step
+function normalizePrice(value, { nights = null, currency = null, ...defaults } = {}) {
+  return convertPrice(parsePrice(value, { nights, expected: currency, ...defaults }), currency);
+}
+
+// Display string for a price, accepting both parsed prices and raw strings
+function formatPrice(price) {
+  if (price === undefined || price === null) return '';
+  if (typeof price !== 'object') return String(price);
+  if (!price.currency) return price.text || String(price.amount);
+
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: price.currency }).format(price.amount);
+  } catch (error) {
+    return `${price.currency} ${price.amount}`;
+  }
+}
+
+module.exports = {
+  PricingError,
+  resolveCurrency,
+  nightsBetween,
+  parsePrice,
+  convertPrice,
+  normalizePrice,
+  formatPrice,
+  loadRates
+};
@@ -0,0 +1,228 @@
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class ReviewError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+// How many reviews to read. Each extra page of reviews is another click and
+// wait on the Reviews tab, so the count is capped at REVIEWS_MAX_LIMIT.
+function validateReviewLimit(value) {
+  const maxLimit = envInt('REVIEWS_MAX_LIMIT', 200);
+  if (value === undefined || value === null || value === '') return Math.min(envInt('REVIEWS_DEFAULT_LIMIT', 50), maxLimit);
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new ReviewError(`limit must be an integer between 1 and ${maxLimit}`, 400);
+  }
+  return limit;
+}
+
+const UNITS = { day: 1, week: 7, month: 30, year: 365 };
+
+// Approximate posting date (YYYY-MM-DD) from the relative dates reviews show,
+// such as "2 months ago", "a week ago" or "Yesterday". Absolute dates
+// ("March 2024", "Mar 3, 2024") are parsed as given; anything else is null.
+function parseReviewDate(value, now = new Date()) {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+  const day = date => date.toISOString().slice(0, 10);
+  if (/\btoday\b|\bhours? ago\b|\bminutes? ago\b/.test(text)) return day(now);
+  if (/\byesterday\b/.test(text)) return day(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+
+  const relative = text.match(/\b(a|an|\d+)\s+(day|week|month|year)s?\s+ago\b/);
+  if (relative) {
+    const count = /^an?$/.test(relative[1]) ? 1 : Number(relative[1]);
+    return day(new Date(now.getTime() - count * UNITS[relative[2]] * 24 * 60 * 60 * 1000));
+  }
+
+  const absolute = new Date(`${text.replace(/\s+on\s+\S+$/, '')} UTC`);
+  return Number.isNaN(absolute.getTime()) ? null : day(absolute);
+}
+
+// Aspects the summary reports on and the words that count as a mention. Keys
+// double as the names Google uses for its sub-scores ("Rooms", "Service").
+const ASPECTS = {
+  rooms: { label: 'Rooms', keywords: ['room', 'rooms', 'bed', 'beds', 'bathroom', 'shower', 'suite', 'view', 'views', 'pillow', 'pillows'] },
+  service: { label: 'Service', keywords: ['staff', 'service', 'reception', 'front desk', 'concierge', 'check-in', 'housekeeping', 'manager'] },
+  location: { label: 'Location', keywords: ['location', 'located', 'walk', 'walking', 'subway', 'metro', 'station', 'neighborhood', 'neighbourhood', 'area'] },
+  cleanliness: { label: 'Cleanliness', keywords: ['clean', 'cleanliness', 'dirty', 'spotless', 'stain', 'stains', 'smell', 'smelled', 'dust', 'dusty'] },
+  food: { label: 'Food', keywords: ['breakfast', 'restaurant', 'food', 'bar', 'dinner', 'coffee', 'buffet'] },
+  value: { label: 'Value', keywords: ['price', 'value', 'expensive', 'overpriced', 'cheap', 'worth', 'fee', 'fees', 'money'] },
+  noise: { label: 'Noise', keywords: ['noise', 'noisy', 'quiet', 'loud', 'thin walls', 'traffic'] },
+  amenities: { label: 'Amenities', keywords: ['pool', 'gym', 'fitness', 'spa', 'wifi', 'wi-fi', 'internet', 'parking', 'elevator', 'elevators'] }
+};
+
+const POSITIVE = [
+  'amazing', 'beautiful', 'best', 'central', 'clean', 'comfortable', 'comfy', 'convenient', 'delicious', 'excellent',
+  'fantastic', 'fast', 'friendly', 'good', 'great', 'helpful', 'lovely', 'modern', 'nice', 'perfect', 'pleasant',
+  'quiet', 'recommend', 'spacious', 'spotless', 'stunning', 'superb', 'wonderful', 'worth'
+];
+const NEGATIVE = [
+  'awful', 'bad', 'broken', 'cramped', 'dated', 'dirty', 'disappointing', 'expensive', 'horrible', 'loud', 'mediocre',
+  'mold', 'noisy', 'old', 'overpriced', 'poor', 'rude', 'slow', 'small', 'smelled', 'stained', 'terrible', 'tiny',
+  'uncomfortable', 'unfriendly', 'unhelpful', 'worn', 'worst'
+];
+const NEGATIONS = ['not', 'no', 'never', 'hardly', 'nothing', "n't", 'wasnt', 'isnt', 'didnt', 'dont', 'wasn’t', 'isn’t', 'didn’t', 'don’t'];
+
+function sentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+|;\s*|,?\s+but\s+/i)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 2);
+}
+
+function tokens(sentence) {
+  return sentence.toLowerCase().match(/[a-z’'-]+/g) || [];
+}
+
+function mentions(sentence, keyword) {
+  return new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')}\\b`, 'i').test(sentence);
+}
+
+// Sentiment words in the sentence, flipped when one of the three words
+// before them is a negation ("not clean" counts against cleanliness)
+function sentimentTerms(sentence) {
+  const words = tokens(sentence);
+  const terms = [];
+  words.forEach((word, index) => {
+    const polarity = POSITIVE.includes(word) ? 1 : NEGATIVE.includes(word) ? -1 : 0;
+    if (!polarity) return;
+    const negated = words.slice(Math.max(0, index - 3), index)
+      .some(before => NEGATIONS.includes(before) || before.endsWith("n't") || before.endsWith('n’t'));
+    terms.push({ term: negated ? `not ${word}` : word, polarity: negated ? -polarity : polarity });
+  });
+  return terms;
+}
+
+// Reads Google's sub-score names onto the summary's aspects
+function aspectKey(name) {
+  const text = String(name || '').toLowerCase();
+  return Object.keys(ASPECTS).find(key => text.includes(key) || ASPECTS[key].keywords.some(keyword => mentions(text, keyword))) || null;
+}
+
+// Local keyword/aspect summary of a set of normalized reviews: every sentence
+// is matched against the aspect keywords and scored with a small sentiment
+// word list, falling back to the review's own score when a sentence has no
+// sentiment words. Aspects mentioned favourably by most reviewers are pros,
+// the rest with more complaints than praise are cons. Google's sub-scores are
+// attached to the aspects they name.
+function summarizeReviews(reviews, aspectScores = [], { minMentions = 2, examples = 2 } = {}) {
+  const byAspect = Object.fromEntries(Object.entries(ASPECTS).map(([key, { label }]) => [key, {
+    aspect: key,
+    label,
+    googleScore: null,
+    mentions: 0,
+    positive: 0,
+    negative: 0,
+    neutral: 0,
+    praise: [],
+    complaints: []
+  }]));
+  const keywords = new Map();
+  const travelerTypes = {};
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let scoreTotal = 0;
+  let scored = 0;
+
+  for (const review of reviews) {
+    if (typeof review.score === 'number') {
+      scoreTotal += review.score;
+      scored++;
+      const bucket = Math.min(5, Math.max(1, Math.round(review.score)));
+      distribution[bucket]++;
+    }
+    if (review.travelerType) travelerTypes[review.travelerType] = (travelerTypes[review.travelerType] || 0) + 1;
+
+    // An aspect counts once per review, with the sentiment of its sentences
+    const seen = new Map();
+    for (const sentence of sentences(review.text)) {
+      const terms = sentimentTerms(sentence);
+      for (const { term, polarity } of terms) {
+        const entry = keywords.get(term) || { term, count: 0, sentiment: polarity > 0 ? 'positive' : 'negative' };
+        entry.count++;
+        keywords.set(term, entry);
+      }
+
+      let polarity = terms.reduce((sum, term) => sum + term.polarity, 0);
+      if (terms.length === 0 && typeof review.score === 'number') {
+        polarity = review.score >= 4 ? 1 : review.score <= 2 ? -1 : 0;
+      }
+      for (const [key, { keywords: aspectWords }] of Object.entries(ASPECTS)) {
+        if (!aspectWords.some(keyword => mentions(sentence, keyword))) continue;
+        const previous = seen.get(key) || { polarity: 0, sentence: null };
+        seen.set(key, {
+          polarity: previous.polarity + polarity,
+          sentence: !previous.sentence || Math.abs(polarity) > Math.abs(previous.polarity) ? sentence : previous.sentence
+        });
+      }
+    }
+
+    for (const [key, { polarity, sentence }] of seen) {
+      const entry = byAspect[key];
+      entry.mentions++;
+      if (polarity > 0) {
+        entry.positive++;
+        if (entry.praise.length < examples) entry.praise.push(sentence);
+      } else if (polarity < 0) {
+        entry.negative++;
+        if (entry.complaints.length < examples) entry.complaints.push(sentence);
+      } else {
+        entry.neutral++;
+      }
+    }
+  }
+
+  for (const { name, score } of aspectScores) {
+    const key = aspectKey(name);
+    if (key && typeof score === 'number') byAspect[key].googleScore = score;
+  }
+
+  const aspects = Object.values(byAspect)
+    .filter(entry => entry.mentions > 0 || entry.googleScore !== null)
+    .map(entry => ({
+      ...entry,
+      // -1 when every mention complains, 1 when every mention praises
+      sentiment: entry.mentions > 0 ? Math.round((entry.positive - entry.negative) / entry.mentions * 100) / 100 : null
+    }))
+    .sort((a, b) => b.mentions - a.mentions);
+
+  const pros = aspects
+    .filter(entry => entry.positive >= minMentions && entry.positive > entry.negative)
+    .sort((a, b) => b.positive - a.positive)
+    .map(({ aspect, label, mentions: count, positive, sentiment, googleScore, praise }) => ({
+      aspect, label, mentions: count, positive, sentiment, googleScore, examples: praise
+    }));
+  const cons = aspects
+    .filter(entry => entry.negative >= minMentions && entry.negative >= entry.positive)
+    .sort((a, b) => b.negative - a.negative)
+    .map(({ aspect, label, mentions: count, negative, sentiment, googleScore, complaints }) => ({
+      aspect, label, mentions: count, negative, sentiment, googleScore, examples: complaints
+    }));
+
+  return {
+    reviewCount: reviews.length,
+    averageScore: scored > 0 ? Math.round(scoreTotal / scored * 10) / 10 : null,
+    scoreDistribution: distribution,
+    travelerTypes,
+    aspects,
+    pros,
+    cons,
+    keywords: Array.from(keywords.values())
+      .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+      .slice(0, 15)
+  };
+}
+
+module.exports = {
+  ASPECTS,
+  ReviewError,
+  validateReviewLimit,
+  parseReviewDate,
+  summarizeReviews
+};
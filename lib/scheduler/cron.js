@@ -0,0 +1,140 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) in
+// server local time, as understood by crontab: "*", lists "1,15", ranges
+// "1-5", steps "*/15" or "10-50/20", month and weekday names, and the
+// @hourly / @daily / @weekly / @monthly shortcuts. When both day fields are
+// restricted a day matches either of them, like Vixie cron. Also like Vixie
+// cron, a day field starting with "*" ("*" or "*/2") counts as unrestricted.
+
+class CronError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CronError';
+    this.statusCode = statusCode;
+  }
+}
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+];
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+    throw new CronError(`Invalid ${field.name} "${value}" (expected ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new CronError(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new CronError(`Invalid range "${range}" in ${field.name}`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new CronError(`Cron expression "${source}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+  // 7 is another way of writing Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*')
+  };
+}
+
+function dayMatches(cron, date) {
+  const inMonth = cron.days.has(date.getDate());
+  const inWeek = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return inMonth && inWeek;
+  return inMonth || inWeek;
+}
+
+// First time strictly after `from` that matches the expression
+function nextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Jump a month, day, hour or minute at a time; five years covers any
+  // valid expression (Feb 29 on a given weekday included)
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw new CronError(`Cron expression "${cron.expression}" never matches`);
+}
+
+module.exports = {
+  CronError,
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,376 @@
+const { getStorage } = require('../storage');
+const { CronError, parseCron, nextRun } = require('./cron');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const MODES = ['rotate', 'all'];
+
+// Runs job types on cron schedules. Each schedule has a list of targets (the
+// popular cities, say) and a mode:
+//
+//   rotate   every run submits the next target in order, wrapping around, so
+//            each one is refreshed once per cycle
+//   all      every run queues all targets, at most `concurrency` at a time
+//
+// Per target the scheduler records the last run, its outcome and when it runs
+// next. Failed runs are retried with exponential backoff up to maxRetries.
+// Schedule state is persisted so rotation and retries survive restarts. A run
+// that cannot be submitted at all (an unknown job type, say) is recorded in
+// the schedule's lastError rather than thrown from the timer.
+class Scheduler {
+  constructor(jobQueue, options = {}) {
+    this.jobQueue = jobQueue;
+    this.repository = options.repository || null;
+    this.tickInterval = options.tickInterval || envInt('SCHEDULER_TICK_MS', 30 * 1000);
+    this.schedules = new Map();
+    this.loaded = false;
+    this.timer = null;
+    this.saving = Promise.resolve();
+
+    jobQueue.on('started', job => {
+      const state = this.targetOf(job);
+      if (state) state.status = 'running';
+    });
+    jobQueue.on('finished', job => {
+      if (this.targetOf(job)) this.finished(job);
+    });
+  }
+
+  get store() {
+    return this.repository || getStorage().schedules;
+  }
+
+  // Adds a schedule from code. State saved by an earlier process (rotation
+  // cursor, per-target status, paused flag) is merged in by load().
+  define({ id, cron, jobType, targets, targetParam = 'target', mode = 'rotate', concurrency = 1, maxRetries = 3, retryDelayMinutes = 5, description = '' }) {
+    if (!MODES.includes(mode)) {
+      throw new CronError(`Unknown schedule mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    parseCron(cron);
+
+    const schedule = {
+      id,
+      description,
+      cron,
+      jobType,
+      targetParam,
+      mode,
+      concurrency,
+      maxRetries,
+      retryDelayMinutes,
+      paused: false,
+      cursor: 0,
+      queue: [],
+      lastRunAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      nextRunAt: nextRun(cron).toISOString(),
+      targets: Object.fromEntries(targets.map(target => [target, this.emptyTarget()]))
+    };
+    this.schedules.set(id, schedule);
+    return schedule;
+  }
+
+  emptyTarget() {
+    return { status: 'idle', lastRunAt: null, lastFinishedAt: null, lastJobId: null, lastError: null, failures: 0, retryAt: null, nextRunAt: null, callbackUrl: null };
+  }
+
+  // Call after the job queue has loaded so in-flight jobs can be matched up
+  async load() {
+    this.loaded = true;
+    let saved;
+    try {
+      saved = await this.store.loadAll();
+    } catch (error) {
+      console.error('Could not load schedules:', error.message);
+      return;
+    }
+
+    for (const state of saved) {
+      const schedule = this.schedules.get(state.id);
+      if (!schedule) continue;
+      schedule.paused = Boolean(state.paused);
+      schedule.lastRunAt = state.lastRunAt || null;
+      schedule.cursor = state.cursor || 0;
+      schedule.lastError = state.lastError || null;
+      schedule.lastErrorAt = state.lastErrorAt || null;
+      // A run missed while the server was down happens on the first tick
+      if (state.cron === schedule.cron && state.nextRunAt) schedule.nextRunAt = state.nextRunAt;
+      for (const target of Object.keys(schedule.targets)) {
+        if (state.targets && state.targets[target]) {
+          schedule.targets[target] = { ...schedule.targets[target], ...state.targets[target] };
+        }
+      }
+      schedule.queue = (state.queue || []).filter(target => schedule.targets[target]);
+
+      // Jobs that finished or were pruned while nobody was listening
+      for (const target of Object.values(schedule.targets)) {
+        if (!this.busy(target)) continue;
+        const job = this.jobQueue.get(target.lastJobId);
+        if (!job) target.status = 'idle';
+        else if (!['queued', 'running'].includes(job.status)) this.finished(job);
+      }
+    }
+    this.refreshNextRuns();
+  }
+
+  persist(schedule) {
+    const snapshot = JSON.parse(JSON.stringify(schedule));
+    this.saving = this.saving
+      .then(() => this.store.save(snapshot))
+      .catch(error => console.error(`Could not save schedule ${schedule.id}:`, error.message));
+    return this.saving;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  get(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) {
+      throw new CronError(`Schedule ${id} not found`, 404);
+    }
+    return schedule;
+  }
+
+  list() {
+    return Array.from(this.schedules.values());
+  }
+
+  pause(id) {
+    const schedule = this.get(id);
+    schedule.paused = true;
+    this.persist(schedule);
+    return schedule;
+  }
+
+  resume(id) {
+    const schedule = this.get(id);
+    schedule.paused = false;
+    // Start counting from now rather than firing every run missed while paused
+    if (new Date(schedule.nextRunAt) < new Date()) {
+      schedule.nextRunAt = nextRun(schedule.cron).toISOString();
+    }
+    this.refreshNextRuns(schedule);
+    this.persist(schedule);
+    return schedule;
+  }
+
+  // Replaces a schedule's targets, keeping the state of those that stay and
+  // the rotation position when the upcoming target is still there
+  setTargets(id, targets) {
+    const schedule = this.get(id);
+    const previous = Object.keys(schedule.targets);
+    const upcoming = previous.length > 0 ? previous[schedule.cursor % previous.length] : null;
+
+    schedule.targets = Object.fromEntries(targets.map(target => [target, schedule.targets[target] || this.emptyTarget()]));
+    schedule.queue = schedule.queue.filter(target => schedule.targets[target]);
+    schedule.cursor = Math.max(0, targets.indexOf(upcoming));
+    this.refreshNextRuns(schedule);
+    // Before load() the saved state has not been merged in yet
+    if (this.loaded) this.persist(schedule);
+    return schedule;
+  }
+
+  // In rotate mode the target after the cursor, which is then advanced
+  nextTarget(id) {
+    const schedule = this.get(id);
+    const targets = Object.keys(schedule.targets);
+    if (targets.length === 0) return null;
+    const target = targets[schedule.cursor % targets.length];
+    schedule.cursor = (schedule.cursor + 1) % targets.length;
+    return target;
+  }
+
+  // Runs a schedule now, outside its cron timing. Returns the jobs that were
+  // submitted; jobOptions (a callbackUrl) apply to each of them, including
+  // targets that wait for their turn in 'all' mode and are submitted later.
+  trigger(id, jobOptions = {}) {
+    return this.fire(this.get(id), new Date(), jobOptions);
+  }
+
+  fire(schedule, now, jobOptions = {}) {
+    schedule.lastRunAt = now.toISOString();
+    let jobs;
+    if (schedule.mode === 'rotate') {
+      const targets = Object.keys(schedule.targets);
+      // Skip targets still running from the previous turn
+      let target = null;
+      for (let i = 0; i < targets.length && !target; i++) {
+        const candidate = this.nextTarget(schedule.id);
+        if (!this.busy(schedule.targets[candidate])) target = candidate;
+      }
+      jobs = target ? [this.submit(schedule, target, jobOptions)] : [];
+    } else {
+      for (const target of Object.keys(schedule.targets)) {
+        if (!schedule.queue.includes(target) && !this.busy(schedule.targets[target])) {
+          schedule.queue.push(target);
+          schedule.targets[target].callbackUrl = jobOptions.callbackUrl || null;
+        }
+      }
+      jobs = this.pump(schedule);
+    }
+    schedule.lastError = null;
+    schedule.lastErrorAt = null;
+    this.refreshNextRuns(schedule);
+    this.persist(schedule);
+    return jobs;
+  }
+
+  // Runs fn for a schedule from a timer or event handler, where a throw would
+  // take the process down, and records the failure on the schedule instead
+  guard(schedule, fn) {
+    try {
+      fn();
+    } catch (error) {
+      console.error(`Schedule ${schedule.id} failed:`, error.message);
+      schedule.lastError = error.message;
+      schedule.lastErrorAt = new Date().toISOString();
+      this.persist(schedule);
+    }
+  }
+
+  busy(state) {
+    return state.status === 'queued' || state.status === 'running';
+  }
+
+  // Starts queued targets while fewer than `concurrency` are in flight, each
+  // with the callbackUrl it was queued with
+  pump(schedule) {
+    const jobs = [];
+    let inFlight = Object.values(schedule.targets).filter(state => this.busy(state)).length;
+    while (schedule.queue.length > 0 && inFlight < schedule.concurrency) {
+      const target = schedule.queue.shift();
+      const { callbackUrl } = schedule.targets[target];
+      jobs.push(this.submit(schedule, target, callbackUrl ? { callbackUrl } : {}));
+      schedule.targets[target].callbackUrl = null;
+      inFlight++;
+    }
+    return jobs;
+  }
+
+  submit(schedule, target, jobOptions = {}) {
+    const state = schedule.targets[target];
+    const job = this.jobQueue.submit(schedule.jobType, { [schedule.targetParam]: target, scheduleId: schedule.id }, jobOptions);
+    Object.assign(state, { status: 'queued', lastRunAt: new Date().toISOString(), lastJobId: job.id, retryAt: null });
+    console.log(`Schedule ${schedule.id}: submitted ${target} as job ${job.id}`);
+    return job;
+  }
+
+  // Target state for a job this scheduler submitted, if it is still current
+  targetOf(job) {
+    const schedule = job.params && this.schedules.get(job.params.scheduleId);
+    const state = schedule && schedule.targets[job.params[schedule.targetParam]];
+    return state && state.lastJobId === job.id ? state : null;
+  }
+
+  finished(job) {
+    const schedule = this.schedules.get(job.params.scheduleId);
+    const state = this.targetOf(job);
+
+    state.lastFinishedAt = job.finishedAt;
+    if (job.status === 'succeeded') {
+      Object.assign(state, { status: 'succeeded', lastError: null, failures: 0, retryAt: null });
+    } else {
+      state.failures += 1;
+      state.lastError = job.error || job.status;
+      if (job.status !== 'cancelled' && state.failures <= schedule.maxRetries) {
+        const delay = schedule.retryDelayMinutes * 2 ** (state.failures - 1) * 60 * 1000;
+        state.status = 'retrying';
+        state.retryAt = new Date(Date.now() + delay).toISOString();
+        console.log(`Schedule ${schedule.id}: ${job.params[schedule.targetParam]} failed, retry ${state.failures}/${schedule.maxRetries} at ${state.retryAt}`);
+      } else {
+        state.status = job.status;
+        state.retryAt = null;
+      }
+    }
+
+    if (schedule.mode === 'all') this.guard(schedule, () => this.pump(schedule));
+    this.refreshNextRuns(schedule);
+    this.persist(schedule);
+  }
+
+  tick() {
+    const now = new Date();
+    for (const schedule of this.schedules.values()) {
+      if (schedule.paused) continue;
+      this.guard(schedule, () => this.tickSchedule(schedule, now));
+    }
+  }
+
+  tickSchedule(schedule, now) {
+    const due = Object.entries(schedule.targets)
+      .filter(([target, state]) => state.status === 'retrying' && new Date(state.retryAt) <= now &&
+        !schedule.queue.includes(target))
+      .map(([target]) => target);
+    if (due.length > 0) {
+      // In 'all' mode retries wait their turn behind the concurrency limit
+      if (schedule.mode === 'all') {
+        schedule.queue.push(...due);
+        this.pump(schedule);
+      } else {
+        due.forEach(target => this.submit(schedule, target));
+      }
+      this.persist(schedule);
+    }
+
+    if (new Date(schedule.nextRunAt) <= now) {
+      schedule.nextRunAt = nextRun(schedule.cron, now).toISOString();
+      this.fire(schedule, now);
+    }
+  }
+
+  // Works out when each target runs next: its retry if one is pending,
+  // otherwise the schedule run that will pick it up
+  refreshNextRuns(schedule) {
+    if (!schedule) {
+      for (const each of this.schedules.values()) this.refreshNextRuns(each);
+      return;
+    }
+
+    const targets = Object.keys(schedule.targets);
+    const cron = parseCron(schedule.cron);
+    let from = new Date(schedule.nextRunAt);
+    const runs = [from];
+    if (schedule.mode === 'rotate') {
+      for (let i = 1; i < targets.length; i++) {
+        from = nextRun(cron, from);
+        runs.push(from);
+      }
+    }
+
+    targets.forEach((target, index) => {
+      const state = schedule.targets[target];
+      if (schedule.paused) {
+        state.nextRunAt = null;
+      } else if (state.status === 'retrying') {
+        state.nextRunAt = state.retryAt;
+      } else if (schedule.mode === 'rotate') {
+        const turn = (index - schedule.cursor + targets.length) % targets.length;
+        state.nextRunAt = runs[turn].toISOString();
+      } else {
+        state.nextRunAt = runs[0].toISOString();
+      }
+    });
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.saving;
+  }
+}
+
+module.exports = {
+  CronError,
+  Scheduler,
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,175 @@
+const { amenityCodes, isAmenityCode, hasAmenity } = require('./amenities');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class SearchFilterError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'SearchFilterError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Same orderings as the sort menu on Google Travel
+const SORTS = ['relevance', 'lowest_price', 'highest_rating', 'most_reviewed'];
+
+function optionalNumber(value, name, { min = 0, max = Infinity, integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+    throw new SearchFilterError(`${name} must be ${integer ? 'an integer' : 'a number'} ${range}`, 400);
+  }
+  return number;
+}
+
+// Accepts arrays from JSON bodies and comma-separated query strings
+function list(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Checks and normalizes the filter, sort and paging parameters of a
+// suggestions request
+function validateSearchFilters(input = {}) {
+  const priceMin = optionalNumber(input.priceMin, 'priceMin');
+  const priceMax = optionalNumber(input.priceMax, 'priceMax');
+  if (priceMin !== null && priceMax !== null && priceMax < priceMin) {
+    throw new SearchFilterError('priceMax must not be below priceMin', 400);
+  }
+
+  const hotelClass = list(input.hotelClass).map(value => {
+    const stars = Number(value);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      throw new SearchFilterError('hotelClass must list star ratings from 1 to 5', 400);
+    }
+    return stars;
+  });
+
+  const sort = input.sort || 'relevance';
+  if (!SORTS.includes(sort)) {
+    throw new SearchFilterError(`Unknown sort "${sort}". Use one of: ${SORTS.join(', ')}`, 400);
+  }
+
+  const maxLimit = envInt('SEARCH_MAX_LIMIT', 100);
+  return {
+    priceMin,
+    priceMax,
+    minRating: optionalNumber(input.minRating, 'minRating', { max: 5 }),
+    hotelClass: Array.from(new Set(hotelClass)).sort(),
+    amenities: list(input.amenities).map(amenity => amenity.toLowerCase()),
+    sort,
+    page: optionalNumber(input.page, 'page', { min: 1, integer: true }) || 1,
+    limit: optionalNumber(input.limit, 'limit', { min: 1, max: maxLimit, integer: true }) || envInt('SEARCH_DEFAULT_LIMIT', 20)
+  };
+}
+
+function nightlyPrice(hotel) {
+  const price = hotel.price;
+  if (!price || typeof price !== 'object') return null;
+  return price.perNight ?? price.amount ?? null;
+}
+
+// Whether a normalized suggestion passes the filters. Hotels without the
+// value a filter needs (no price, no rating) are left out. Amenity codes such
+// as wifi_free match on the taxonomy; anything else matches the page's text.
+function matchesFilters(hotel, filters) {
+  const price = nightlyPrice(hotel);
+  if ((filters.priceMin !== null || filters.priceMax !== null) && price === null) return false;
+  if (filters.priceMin !== null && price < filters.priceMin) return false;
+  if (filters.priceMax !== null && price > filters.priceMax) return false;
+  if (filters.minRating !== null && !(hotel.rating >= filters.minRating)) return false;
+  if (filters.hotelClass.length > 0 && !filters.hotelClass.includes(hotel.hotelClass)) return false;
+  if (filters.amenities.length > 0) {
+    const amenities = (hotel.amenities || []).map(amenity => amenity.toLowerCase());
+    const codes = hotel.amenityCodes || amenityCodes(hotel.amenities);
+    if (!filters.amenities.every(wanted => (isAmenityCode(wanted)
+      ? hasAmenity(codes, wanted)
+      : amenities.some(amenity => amenity.includes(wanted))))) return false;
+  }
+  return true;
+}
+
+// Missing values sort last whichever way the list is ordered
+function compareBy(value, direction) {
+  return (a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+    if (right === null || right === undefined) return -1;
+    return direction * (left - right);
+  };
+}
+
+const comparators = {
+  lowest_price: compareBy(nightlyPrice, 1),
+  highest_rating: compareBy(hotel => hotel.rating, -1),
+  most_reviewed: compareBy(hotel => hotel.reviewCount, -1)
+};
+
+// Filters, sorts and pages scraped suggestions. Relevance keeps Google's order.
+// The scrape stops once the requested page is full, so the number of matches
+// is only a lower bound: matched counts the hotels read that pass, and
+// hasMore is set whenever the walk may have stopped short of the end.
+function applySearchFilters(hotels, filters) {
+  const matching = hotels.filter(hotel => matchesFilters(hotel, filters));
+  if (comparators[filters.sort]) matching.sort(comparators[filters.sort]);
+
+  const start = (filters.page - 1) * filters.limit;
+  return {
+    results: matching.slice(start, start + filters.limit),
+    pagination: {
+      page: filters.page,
+      limit: filters.limit,
+      matched: matching.length,
+      hasMore: matching.length >= start + filters.limit
+    }
+  };
+}
+
+// What the scrape needs to know about the filters. Star class and price range
+// go into Google's query. The result-page walk reads pages until minResults
+// hotels pass every filter (rating and amenities included), so a page is only
+// short when Google ran out of hotels. Sorts other than relevance read every
+// page up to SEARCH_MAX_PAGES, since the order can only cover hotels that
+// were read.
+function scrapeFilters(filters) {
+  return {
+    hotelClass: filters.hotelClass.length > 0 ? filters.hotelClass : undefined,
+    priceMin: filters.priceMin ?? undefined,
+    priceMax: filters.priceMax ?? undefined,
+    minRating: filters.minRating ?? undefined,
+    amenities: filters.amenities.length > 0 ? filters.amenities : undefined,
+    minResults: filters.sort === 'relevance' ? filters.page * filters.limit : Infinity
+  };
+}
+
+// Predicate over normalized suggestions for the result-page walk, built from
+// the scrapeFilters() fields of a search. null when none of them filters.
+function searchMatcher({ priceMin, priceMax, minRating, hotelClass, amenities }) {
+  const filters = {
+    priceMin: priceMin ?? null,
+    priceMax: priceMax ?? null,
+    minRating: minRating ?? null,
+    hotelClass: hotelClass || [],
+    amenities: amenities || []
+  };
+  const filtering = filters.priceMin !== null || filters.priceMax !== null || filters.minRating !== null ||
+    filters.hotelClass.length > 0 || filters.amenities.length > 0;
+  return filtering ? hotel => matchesFilters(hotel, filters) : null;
+}
+
+module.exports = {
+  SORTS,
+  SearchFilterError,
+  validateSearchFilters,
+  matchesFilters,
+  applySearchFilters,
+  scrapeFilters,
+  searchMatcher
+};
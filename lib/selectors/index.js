@@ -0,0 +1,205 @@
+const registry = require('./registry.json');
+
+// Every field in registry.json maps to an ordered fallback chain. Entries are
+// tried in order and take one of these forms:
+//   { css }                  plain CSS selector
+//   { aria, tag }            exact aria-label, optionally restricted to a tag
+//   { ariaContains, tag }    aria-label substring
+//   { text, tag }            element whose own text equals the value
+//   { textPattern, tag }     element whose own text matches the regex
+
+function getChain(field) {
+  const chain = registry.fields[field];
+  if (!chain) {
+    throw new Error(`Unknown selector field "${field}"`);
+  }
+  return chain;
+}
+
+function describeEntry(entry) {
+  if (entry.css) return `css:${entry.css}`;
+  if (entry.aria) return `aria:${entry.aria}`;
+  if (entry.ariaContains) return `aria*:${entry.ariaContains}`;
+  if (entry.text) return `text:${entry.text}`;
+  return `text~:${entry.textPattern}`;
+}
+
+function quote(value) {
+  return JSON.stringify(String(value));
+}
+
+// Translates a registry entry into a Playwright selector string
+function toPlaywrightSelector(entry) {
+  const tag = entry.tag || '';
+  if (entry.css) return entry.css;
+  if (entry.aria) return `${tag}[aria-label=${quote(entry.aria)}]`;
+  if (entry.ariaContains) return `${tag}[aria-label*=${quote(entry.ariaContains)}]`;
+  if (entry.text) return `${tag || '*'}:text-is(${quote(entry.text)})`;
+  return `${tag || '*'}:text-matches(${quote(entry.textPattern)})`;
+}
+
+// Finds the first entry in the chain that matches on the page. Resolves with
+// { handle, selector, matched } or null.
+async function locateField(page, field) {
+  for (const entry of getChain(field)) {
+    const selector = toPlaywrightSelector(entry);
+    const handle = await page.$(selector);
+    if (handle) {
+      return { handle, selector, matched: describeEntry(entry) };
+    }
+  }
+  return null;
+}
+
+// Waits until any entry in the chain is present, then reports which one it
+// was. Pass { run } to record the lookup in run.selectors.
+async function waitForField(page, field, { run, ...options } = {}) {
+  const union = getChain(field).map(toPlaywrightSelector).join(', ');
+  try {
+    await page.waitForSelector(union, options);
+  } catch (error) {
+    recordMatch(run, field, null);
+    throw error;
+  }
+  const found = await locateField(page, field);
+  if (!found) {
+    throw new Error(`Selector field "${field}" disappeared before it could be used`);
+  }
+  recordMatch(run, field, found.matched);
+  return found;
+}
+
+async function clickField(page, field, options = {}) {
+  const found = await waitForField(page, field, options);
+  await found.handle.click();
+  return found;
+}
+
+async function fieldExists(page, field) {
+  return (await locateField(page, field)) !== null;
+}
+
+// Browser-side half of the registry. Installed into the page before each
+// extraction; exposes window.__hotelSelectors with lookup helpers that walk a
+// field's chain and count which entry matched (or that none did).
+function installSelectorRuntime({ version, fields }) {
+  const report = { version, matched: {}, missing: {} };
+
+  function count(bucket, field, key) {
+    bucket[field] = bucket[field] || {};
+    bucket[field][key] = (bucket[field][key] || 0) + 1;
+  }
+
+  function describe(entry) {
+    if (entry.css) return `css:${entry.css}`;
+    if (entry.aria) return `aria:${entry.aria}`;
+    if (entry.ariaContains) return `aria*:${entry.ariaContains}`;
+    if (entry.text) return `text:${entry.text}`;
+    return `text~:${entry.textPattern}`;
+  }
+
+  function ownText(element) {
+    return (element.textContent || '').trim();
+  }
+
+  // Elements whose text matches but none of whose children also match, so
+  // that wrappers around the real node are skipped
+  function byText(root, entry) {
+    const test = entry.text !== undefined
+      ? text => text === entry.text
+      : (pattern => text => pattern.test(text))(new RegExp(entry.textPattern));
+    const candidates = Array.from(root.querySelectorAll(entry.tag || '*'))
+      .filter(element => test(ownText(element)));
+    return candidates.filter(element =>
+      !Array.from(element.children).some(child => test(ownText(child)))
+    );
+  }
+
+  function query(root, entry) {
+    const tag = entry.tag || '';
+    if (entry.css) return Array.from(root.querySelectorAll(entry.css));
+    if (entry.aria) return Array.from(root.querySelectorAll(`${tag}[aria-label="${CSS.escape(entry.aria)}"]`));
+    if (entry.ariaContains) return Array.from(root.querySelectorAll(`${tag}[aria-label*="${CSS.escape(entry.ariaContains)}"]`));
+    return byText(root, entry);
+  }
+
+  function resolve(root, field) {
+    const chain = fields[field];
+    if (!chain) throw new Error(`Unknown selector field "${field}"`);
+    for (const entry of chain) {
+      let elements = [];
+      try {
+        elements = query(root || document, entry);
+      } catch (error) {
+        // An unsupported selector (e.g. :has on an old engine) falls through
+      }
+      if (elements.length > 0) {
+        count(report.matched, field, describe(entry));
+        return elements;
+      }
+    }
+    count(report.missing, field, 'none');
+    return [];
+  }
+
+  window.__hotelSelectors = {
+    one: (root, field) => resolve(root, field)[0] || null,
+    all: (root, field) => resolve(root, field),
+    text: (root, field) => {
+      const element = resolve(root, field)[0];
+      return element ? (element.textContent || '') : '';
+    },
+    attr: (root, field, name) => {
+      const element = resolve(root, field)[0];
+      return element ? (element.getAttribute(name) || '') : '';
+    },
+    report: () => report
+  };
+}
+
+// Installs the runtime and then runs fn inside the page. The selector report
+// for the extraction is merged into run.selectors when a run is given.
+async function evaluateWithSelectors(page, fn, arg, run) {
+  await page.evaluate(installSelectorRuntime, { version: registry.version, fields: registry.fields });
+  const result = await page.evaluate(fn, arg);
+  if (run) {
+    const report = await page.evaluate(() => window.__hotelSelectors.report());
+    run.selectors = mergeReports(run.selectors, report);
+  }
+  return result;
+}
+
+function mergeReports(target, report) {
+  const merged = target || { version: registry.version, matched: {}, missing: {} };
+  for (const bucket of ['matched', 'missing']) {
+    for (const [field, counts] of Object.entries(report[bucket] || {})) {
+      merged[bucket][field] = merged[bucket][field] || {};
+      for (const [key, value] of Object.entries(counts)) {
+        merged[bucket][field][key] = (merged[bucket][field][key] || 0) + value;
+      }
+    }
+  }
+  return merged;
+}
+
+// Records a navigation lookup made from Node (clicks, waits) in run.selectors
+function recordMatch(run, field, matched) {
+  if (!run) return;
+  run.selectors = mergeReports(run.selectors, {
+    matched: matched ? { [field]: { [matched]: 1 } } : {},
+    missing: matched ? {} : { [field]: { none: 1 } }
+  });
+}
+
+module.exports = {
+  version: registry.version,
+  getChain,
+  toPlaywrightSelector,
+  locateField,
+  waitForField,
+  clickField,
+  fieldExists,
+  evaluateWithSelectors,
+  mergeReports,
+  recordMatch
+};
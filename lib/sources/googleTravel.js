@@ -0,0 +1,816 @@
+const { browserPool } = require('../browserPool');
+const { locateField, waitForField, clickField, fieldExists } = require('../selectors');
+const { runExtractor } = require('../extractors');
+const { totalGuests, occupancyReport } = require('../occupancy');
+
+// Origin every Google page is loaded from. Read on each call so tests can
+// point the scrapers at the bundled mock server (see mock/server.js).
+function googleUrl(pathname = '') {
+  const origin = (process.env.GOOGLE_BASE_URL || 'https://www.google.com').replace(/\/+$/, '');
+  return `${origin}${pathname}`;
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Reports how far a scrape has got when the caller tracks progress (jobs and
+// streaming requests do). stage is a stable name for the step.
+function progress(run, percent, message, stage) {
+  if (run && typeof run.progress === 'function') run.progress(percent, message, stage);
+}
+
+// Context settings for the direct Google Travel scrapers (info, images, prices)
+const DESKTOP_CONTEXT_OPTIONS = {
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  viewport: { width: 1920, height: 1080 },
+  deviceScaleFactor: 1,
+  isMobile: false,
+  hasTouch: false,
+  extraHTTPHeaders: {
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
+  }
+};
+
+// Context settings for the search-driven scrapers (suggestions, city deals)
+const SEARCH_CONTEXT_OPTIONS = {
+  viewport: { width: 1920, height: 1080 },
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+  locale: 'en-US',
+  timezoneId: 'America/New_York',
+  geolocation: { longitude: -74.006, latitude: 40.7128 },
+  permissions: ['geolocation'],
+  extraHTTPHeaders: {
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-User': '?1',
+    'Cache-Control': 'max-age=0',
+    'sec-ch-ua': '"Chromium";v="122", "Not(A:Brand";v="24", "Google Chrome";v="122"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"macOS"'
+  }
+};
+
+// Context options for a locale such as "pt-PT": browser locale plus a
+// matching Accept-Language header
+function withLocale(options, locale) {
+  if (!locale) return options;
+  const language = locale.split('-')[0];
+  return {
+    ...options,
+    locale,
+    extraHTTPHeaders: { ...options.extraHTTPHeaders, 'Accept-Language': `${locale},${language};q=0.9,en;q=0.8` }
+  };
+}
+
+// Scrapes the About tab of the first matching hotel
+async function scrapeHotelInfo(context, destination, run) {
+  const page = await context.newPage();
+
+  // Navigate directly to Google Travel search
+  const searchUrl = googleUrl(`/travel/search?q=${encodeURIComponent(destination)}`);
+  
+  console.log('Navigating to:', searchUrl);
+  await page.goto(searchUrl, { waitUntil: 'networkidle' });
+  console.log('Page loaded');
+  progress(run, 30, 'Opened search results', 'navigated');
+
+  // First check if About tab is already visible
+  const aboutTabExists = await fieldExists(page, 'nav.aboutTab');
+
+  if (aboutTabExists) {
+    console.log('About tab already exists, clicking it directly');
+    await clickField(page, 'nav.aboutTab', { run });
+  } else {
+    // If About tab is not visible, click the hotel entity link first
+    await clickField(page, 'nav.entityLink', { timeout: 15000, run });
+    console.log('Clicked hotel entity link');
+
+    // Wait for the hotel page to load
+    await page.waitForLoadState('networkidle');
+    console.log('Hotel page loaded');
+
+    // Now wait for and click the About tab
+    await clickField(page, 'nav.aboutTab', { timeout: 15000, run });
+    console.log('Clicked About tab');
+  }
+
+  // Wait for the About section to load
+  await waitForField(page, 'about.section', { timeout: 15000 });
+  console.log('About section loaded');
+  progress(run, 80, 'Reading About tab', 'extracting');
+
+  // Extract hotel information
+  return runExtractor(page, 'about', run);
+}
+
+// Scrapes the Photos tab of the first matching hotel
+async function scrapeHotelImages(context, destination, run) {
+  const page = await context.newPage();
+  
+  // Navigate to Google Travel search
+  const searchUrl = googleUrl(`/travel/search?q=${encodeURIComponent(destination)}`);
+  console.log('Navigating to:', searchUrl);
+  await page.goto(searchUrl, { waitUntil: 'networkidle' });
+  console.log('Page loaded');
+  progress(run, 25, 'Opened search results', 'navigated');
+
+  // First check if Photos tab is already visible
+  const photosTabExists = await fieldExists(page, 'nav.photosTab');
+
+  if (photosTabExists) {
+    console.log('Photos tab already exists, clicking it directly');
+    await clickField(page, 'nav.photosTab', { run });
+  } else {
+    // If Photos tab is not visible, click the hotel entity link first
+    await clickField(page, 'nav.entityLink', { timeout: 15000, run });
+    console.log('Clicked hotel entity link');
+
+    // Wait for the hotel page to load
+    await page.waitForLoadState('networkidle');
+    console.log('Hotel page loaded');
+
+    // Now wait for and click the Photos tab
+    await clickField(page, 'nav.photosTab', { timeout: 15000, run });
+    console.log('Clicked Photos tab');
+  }
+
+  // Wait for the photos section to load
+  await waitForField(page, 'photos.image', { timeout: 15000, state: 'attached' });
+  console.log('Photos section loaded');
+  progress(run, 55, 'Loading photos', 'photos-loading');
+
+  // Scroll through the page to trigger lazy loading
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let totalHeight = 0;
+      const distance = 100;
+      const timer = setInterval(() => {
+        const scrollHeight = document.body.scrollHeight;
+        window.scrollBy(0, distance);
+        totalHeight += distance;
+
+        if (totalHeight >= scrollHeight) {
+          clearInterval(timer);
+          resolve(null);
+        }
+      }, 100);
+    });
+  });
+
+  // Wait a bit for images to load after scrolling
+  await page.waitForTimeout(2000);
+
+  // Extract hotel images
+  progress(run, 85, 'Reading Photos tab', 'extracting');
+  return runExtractor(page, 'photos', run);
+}
+
+// Clicks a stepper's minus button until it is disabled, then plus until the
+// count is reached. Resolves with false when plus ran out first.
+async function setStepper(page, removeField, addField, target, minimum) {
+  for (let i = 0; i < 40; i++) {
+    const remove = await locateField(page, removeField);
+    if (!remove || await remove.handle.isDisabled()) break;
+    await remove.handle.click();
+  }
+  for (let value = minimum; value < target; value++) {
+    const add = await locateField(page, addField);
+    if (!add || await add.handle.isDisabled()) return false;
+    await add.handle.click();
+  }
+  return true;
+}
+
+// Sets adults and children (with ages) in the travelers dialog of Google
+// Travel results and hotel pages; the page keeps it in its URL state. Google
+// prices one room for everyone, so more rooms are reported as not applied.
+async function applyTravelOccupancy(page, occupancy, run) {
+  const unapplied = occupancy.rooms > 1 ? ['rooms'] : [];
+  const notApplied = reason => {
+    console.log('Occupancy not applied:', reason);
+    return occupancyReport(occupancy, { applied: false, unapplied: ['adults', 'children', ...unapplied], reason });
+  };
+
+  const picker = await locateField(page, 'occupancy.picker');
+  if (!picker) return notApplied('The page has no travelers control');
+  await picker.handle.click();
+  try {
+    await waitForField(page, 'occupancy.addAdult', { timeout: 5000, run });
+  } catch (error) {
+    return notApplied('The travelers dialog did not open');
+  }
+
+  if (!await setStepper(page, 'occupancy.removeAdult', 'occupancy.addAdult', occupancy.adults, 1)) {
+    unapplied.push('adults');
+  }
+  if (!await setStepper(page, 'occupancy.removeChild', 'occupancy.addChild', occupancy.children.length, 0)) {
+    unapplied.push('children');
+  } else if (occupancy.children.length > 0) {
+    const ageField = await locateField(page, 'occupancy.childAge');
+    const ageSelects = ageField ? await page.$$(ageField.selector) : [];
+    for (const [index, age] of occupancy.children.entries()) {
+      const select = ageSelects[index];
+      const picked = select ? await select.selectOption(String(age)).catch(() => []) : [];
+      if (picked.length === 0) {
+        unapplied.push('childAges');
+        break;
+      }
+    }
+  }
+
+  try {
+    await clickField(page, 'occupancy.done', { timeout: 5000, run });
+  } catch (error) {
+    await page.keyboard.press('Escape');
+  }
+  await page.waitForLoadState('networkidle').catch(() => {});
+
+  // The control's label carries the traveler count once the page has updated
+  const updated = await locateField(page, 'occupancy.picker');
+  const label = updated ? `${await updated.handle.getAttribute('aria-label') || ''} ${await updated.handle.textContent() || ''}` : '';
+  const shown = (label.match(/\d+/g) || []).map(Number);
+  if (!shown.includes(totalGuests(occupancy))) {
+    return occupancyReport(occupancy, {
+      applied: false,
+      unapplied: Array.from(new Set([...unapplied, 'adults', 'children'])),
+      reason: `The travelers control shows "${label.trim()}" after the update`
+    });
+  }
+
+  const report = occupancyReport(occupancy, {
+    unapplied,
+    reason: unapplied.length > 0 ? `Google Travel could not take: ${unapplied.join(', ')}` : null
+  });
+  console.log('Occupancy:', report.description, report.applied ? 'applied' : `not fully applied (${report.reason})`);
+  return report;
+}
+
+// Searches for the hotel and clicks through to its entity page when the
+// results offer one
+async function openHotelPage(page, { hotelName, location }, run) {
+  // Navigate directly to Google Travel search with both hotel name and location
+  const searchQuery = `${hotelName} ${location}`;
+  const searchUrl = googleUrl(`/travel/search?q=${encodeURIComponent(searchQuery)}`);
+  console.log('Navigating to:', searchUrl);
+  await page.goto(searchUrl, { waitUntil: 'networkidle' });
+
+  // Wait for search results
+  await page.waitForTimeout(3000);
+  progress(run, 25, 'Opened search results', 'navigated');
+
+  // First check if there's an entity link
+  const entityLink = await locateField(page, 'nav.entityLink');
+  const entityLinkExists = !!entityLink;
+
+  console.log('Entity link exists:', entityLinkExists);
+
+  if (entityLinkExists) {
+    console.log('Attempting to click entity link...');
+    
+    // Wait for the element to be visible and clickable
+    const { handle } = await waitForField(page, 'nav.entityLink', {
+      state: 'visible',
+      timeout: 10000,
+      run
+    });
+    
+    // Try clicking with different methods
+    try {
+      // Method 1: Direct click
+      await handle.click();
+      console.log('Direct click successful');
+    } catch (error) {
+      console.log('Direct click failed, trying alternative method...');
+      try {
+        // Method 2: Click using evaluate
+        await handle.evaluate(link => link.click());
+        console.log('Evaluate click successful');
+      } catch (error) {
+        console.log('Evaluate click failed:', error);
+        // Method 3: Click using mouse events
+        await handle.click({ delay: 100, force: true });
+        console.log('Mouse event click successful');
+      }
+    }
+
+    console.log('Waiting for navigation after click...');
+    // Wait for the hotel page to load
+    await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(error => {
+      console.log('Navigation timeout, but continuing...', error);
+    });
+    console.log('Hotel page loaded');
+    progress(run, 50, 'Opened hotel page', 'entity-opened');
+  } else {
+    console.log('No entity link found, trying to find Prices tab directly...');
+  }
+}
+
+// Scrapes the Prices tab for a hotel in a given location, for the requested
+// stay and occupancy. Without dates Google shows its own default stay.
+async function scrapeHotelPrices(context, { hotelName, location, checkInDate, checkOutDate, occupancy }, run) {
+  const page = await context.newPage();
+  await openHotelPage(page, { hotelName, location }, run);
+  if (occupancy) run.occupancy = await applyTravelOccupancy(page, occupancy, run);
+  if (checkInDate && checkOutDate) {
+    // Like the calendar, the dated entity URL keeps the occupancy set above
+    const datedUrl = withStayDates(page.url(), { checkIn: checkInDate, checkOut: checkOutDate });
+    console.log('Opening hotel page for the stay:', datedUrl);
+    await page.goto(datedUrl, { waitUntil: 'networkidle' });
+  }
+
+  // Now wait for and click the Prices tab
+  try {
+    console.log('Looking for Prices tab...');
+    await clickField(page, 'nav.pricesTab', { timeout: 5000, run });
+    console.log('Clicked Prices tab');
+  } catch (error) {
+    console.error('Error clicking prices tab:', error);
+  }
+
+  // Wait for prices to load
+  await page.waitForTimeout(3000);
+
+  // Get price listings
+  console.log('Scraping price listings...');
+  progress(run, 85, 'Reading Prices tab', 'extracting');
+  const priceListings = await runExtractor(page, 'prices', run);
+
+  console.log('Found price listings:', JSON.stringify(priceListings, null, 2));
+  return priceListings;
+}
+
+// Number of review cards currently on the page
+async function countReviewCards(page) {
+  const card = await locateField(page, 'reviews.card');
+  return card ? (await page.$$(card.selector)).length : 0;
+}
+
+// Opens the Reviews tab and presses "More reviews" until limit reviews are
+// loaded, the button goes away or REVIEWS_MAX_PAGES batches have been read.
+// Resolves with null when the hotel has no reviews tab or no reviews.
+async function scrapeHotelReviews(context, { hotelName, location, limit }, run) {
+  const page = await context.newPage();
+  await openHotelPage(page, { hotelName, location }, run);
+
+  try {
+    await clickField(page, 'nav.reviewsTab', { timeout: 5000, run });
+    console.log('Clicked Reviews tab');
+    await waitForField(page, 'reviews.card', { timeout: 15000, run });
+  } catch (error) {
+    console.error('No reviews found:', error.message);
+    return null;
+  }
+  progress(run, 60, 'Opened Reviews tab', 'reviews-opened');
+
+  const maxPages = envInt('REVIEWS_MAX_PAGES', 10);
+  let loaded = await countReviewCards(page);
+  for (let batch = 1; loaded < limit && batch < maxPages; batch++) {
+    const more = await locateField(page, 'reviews.more');
+    if (!more || !await more.handle.isVisible()) break;
+    await more.handle.click();
+
+    // The next batch is appended in place
+    const before = loaded;
+    const card = await locateField(page, 'reviews.card');
+    await page.waitForFunction(
+      ({ selector, count }) => document.querySelectorAll(selector).length > count,
+      { selector: card.selector, count: before },
+      { timeout: 10000 }
+    ).catch(() => {});
+    loaded = await countReviewCards(page);
+    console.log(`Reviews batch ${batch + 1}: ${loaded} reviews loaded`);
+    progress(run, Math.min(85, 60 + batch * 3), `Loaded ${loaded} reviews`, 'reviews-loading');
+    if (loaded === before) break;
+  }
+
+  progress(run, 90, 'Reading Reviews tab', 'extracting');
+  const result = await runExtractor(page, 'reviews', run);
+  console.log(`Extracted ${result.reviews.length} reviews and ${result.aspects.length} aspect scores`);
+  return { ...result, reviews: result.reviews.slice(0, limit) };
+}
+
+// Moves a price slider with the arrow keys to the last step that still
+// covers target: at or below it for the minimum, at or above it for the
+// maximum. Resolves with false when the page has no such slider.
+async function setPriceSlider(page, field, target, { upper }) {
+  const slider = await locateField(page, field);
+  if (!slider) return false;
+  const value = async () => {
+    const raw = await slider.handle.getAttribute('aria-valuenow');
+    return raw === null ? NaN : Number(raw);
+  };
+  if (!Number.isFinite(await value())) return false;
+
+  await slider.handle.focus();
+  await page.keyboard.press(upper ? 'End' : 'Home');
+  for (let i = 0; i < 200; i++) {
+    const current = await value();
+    await page.keyboard.press(upper ? 'ArrowLeft' : 'ArrowRight');
+    const next = await value();
+    if (next === current) break;
+    // One step too far: the slider would cut off prices the filter allows
+    if (upper ? next < target : next > target) {
+      await page.keyboard.press(upper ? 'ArrowRight' : 'ArrowLeft');
+      break;
+    }
+  }
+  return true;
+}
+
+// Applies star class and price range through the "All filters" panel of the
+// results page, which keeps them in the results' URL state for the following
+// pages. Filters the panel does not take are logged and left to the
+// post-scrape check (run.matches), which runs on every hotel either way.
+async function applyResultFilters(page, { hotelClass, priceMin, priceMax }, run) {
+  const given = value => value !== undefined && value !== null;
+  hotelClass = hotelClass || [];
+  if (hotelClass.length === 0 && !given(priceMin) && !given(priceMax)) return;
+  const unapplied = [];
+  const notApplied = reason => console.log('Filters not applied:', reason);
+
+  try {
+    await clickField(page, 'filters.open', { timeout: 5000, run });
+  } catch (error) {
+    return notApplied('The results page has no filters panel');
+  }
+
+  if (hotelClass.length > 0) {
+    const option = await locateField(page, 'filters.hotelClassOption');
+    const options = option ? await page.$$(option.selector) : [];
+    const found = new Set();
+    for (const handle of options) {
+      const label = `${await handle.getAttribute('aria-label') || ''} ${await handle.textContent() || ''}`;
+      const stars = Number((label.match(/(\d)[-\s]star/i) || [])[1]);
+      if (!stars) continue;
+      found.add(stars);
+      const checked = await handle.getAttribute('aria-checked') === 'true' || await handle.isChecked().catch(() => false);
+      if (checked !== hotelClass.includes(stars)) await handle.click();
+    }
+    if (!hotelClass.every(stars => found.has(stars))) unapplied.push('hotelClass');
+  }
+
+  if (given(priceMin) && !await setPriceSlider(page, 'filters.priceMin', priceMin, { upper: false })) {
+    unapplied.push('priceMin');
+  }
+  if (given(priceMax) && !await setPriceSlider(page, 'filters.priceMax', priceMax, { upper: true })) {
+    unapplied.push('priceMax');
+  }
+
+  try {
+    await clickField(page, 'filters.close', { timeout: 5000, run });
+  } catch (error) {
+    await page.keyboard.press('Escape');
+  }
+  await page.waitForLoadState('networkidle').catch(() => {});
+  // No cards left means nothing passes; the result walk then reads none
+  await waitForField(page, 'results.card', { timeout: 30000, run }).catch(() => {});
+  progress(run, 80, 'Filters set', 'filters-applied');
+  if (unapplied.length > 0) notApplied(`The filters panel could not take: ${unapplied.join(', ')}`);
+  else console.log('Filters applied through the filters panel');
+}
+
+// Extracts the results page by page, following the "Next" control until
+// minResults distinct hotels are in, there is no next page or
+// SEARCH_MAX_PAGES pages have been read. When the search has filters that
+// only apply after scraping, run.matches tells which hotels count.
+async function collectResultPages(page, run, { minResults = 0 } = {}) {
+  const maxPages = envInt('SEARCH_MAX_PAGES', 5);
+  const hotels = [];
+  const seen = new Set();
+  let matched = 0;
+
+  for (let pageNumber = 1; ; pageNumber++) {
+    progress(run, Math.min(95, 85 + pageNumber * 2), `Reading results page ${pageNumber}`, 'extracting');
+    const batch = await runExtractor(page, 'suggestions', run);
+    let added = 0;
+    for (const hotel of batch) {
+      const key = hotel.entityId || hotel.name;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      hotels.push(hotel);
+      added++;
+      if (!run.matches || run.matches(hotel)) matched++;
+    }
+    console.log(`Results page ${pageNumber}: ${added} new hotels, ${hotels.length} in total, ${matched} matching`);
+
+    if (added === 0 || matched >= minResults || pageNumber >= maxPages) break;
+    const next = await locateField(page, 'results.nextPage');
+    if (!next) break;
+
+    // Wait for the current cards to be replaced, whether the next page is a
+    // navigation or an in-place update
+    const firstCard = await locateField(page, 'results.card');
+    await next.handle.click();
+    if (firstCard) {
+      await page.waitForFunction(card => !card.isConnected, firstCard.handle, { timeout: 15000 }).catch(() => {});
+    }
+    await page.waitForLoadState('networkidle').catch(() => {});
+    try {
+      await waitForField(page, 'results.card', { timeout: 15000, run });
+    } catch (error) {
+      console.log(`Results page ${pageNumber + 1} did not load:`, error.message);
+      break;
+    }
+  }
+  return hotels;
+}
+
+// The guest menu of Google's web hotel results only takes a head count, so
+// children are counted as guests without their ages and rooms are left out
+async function selectGuestCount(page, occupancy, run) {
+  const guests = totalGuests(occupancy);
+  const unapplied = [];
+  if (occupancy.children.length > 0) unapplied.push('childAges');
+  if (occupancy.rooms > 1) unapplied.push('rooms');
+  const notApplied = reason => {
+    console.log('Occupancy not applied:', reason);
+    return occupancyReport(occupancy, { applied: false, unapplied: ['adults', 'children', ...unapplied], reason });
+  };
+
+  console.log('Waiting for guest selection component...');
+  try {
+    await clickField(page, 'search.guestPicker', { timeout: 30000, run });
+    await waitForField(page, 'search.guestMenu', { timeout: 10000, run });
+  } catch (error) {
+    return notApplied('The guest menu could not be opened');
+  }
+  console.log('Guest dropdown menu appeared');
+
+  // "1 guest", "2 guests", ...
+  const wanted = new RegExp(`^\\s*${guests} guests?\\b`);
+  const guestOption = await locateField(page, 'search.guestOption');
+  const guestOptions = guestOption ? await page.$$(guestOption.selector) : [];
+  let selected = false;
+  for (const option of guestOptions) {
+    if (wanted.test(await option.textContent() || '')) {
+      await option.click();
+      selected = true;
+      break;
+    }
+  }
+  if (!selected) {
+    await page.keyboard.press('Escape');
+    return notApplied(`The guest menu has no "${guests} guests" option`);
+  }
+
+  // Wait for the page to update with new guest count
+  await page.waitForTimeout(3000);
+  console.log(`Selected ${guests} guests`);
+  return occupancyReport(occupancy, {
+    unapplied,
+    reason: unapplied.length > 0
+      ? 'The guest menu only takes a guest count: children were counted as guests without their ages and only one room was searched'
+      : null
+  });
+}
+
+// Types a "best hotel deals" query into Google and extracts the results,
+// following the result pages until minResults hotels are in. Resolves with
+// null when the results container never appears (usually a block page).
+async function scrapeHotelSuggestions(context, { destination, checkIn, checkOut, occupancy, minResults, ...filters }, run) {
+  // Format dates to "Month Day" format
+  const formatDate = (dateStr) => {
+    const date = new Date(dateStr);
+    return date.toLocaleString('en-US', { month: 'long', day: 'numeric' });
+  };
+
+  // Add random delays between actions with more human-like timing
+  const randomDelay = () => new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 1000));
+
+  const page = await context.newPage();
+  console.log('New page created');
+
+  // Override navigator.webdriver to prevent detection
+  await page.addInitScript(() => {
+    Object.defineProperty(navigator, 'webdriver', {
+      get: () => undefined
+    });
+  });
+  console.log('Webdriver detection disabled');
+
+  // Enable request interception with more selective blocking
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    const resourceType = request.resourceType();
+    
+    // Only block certain resources that aren't essential
+    if (['media', 'font'].includes(resourceType)) {
+      await route.abort();
+    } else {
+      await route.continue();
+    }
+  });
+  console.log('Request interception enabled');
+
+  // First visit Google homepage and wait
+  console.log('Navigating to Google homepage...');
+  await page.goto(googleUrl(), { waitUntil: 'networkidle' });
+  await randomDelay();
+  console.log('Successfully loaded Google homepage');
+  progress(run, 10, 'Opened Google', 'navigated');
+
+  // Simulate human-like mouse movements
+  await page.mouse.move(Math.random() * 500, Math.random() * 500);
+  await randomDelay();
+  console.log('Simulated mouse movement');
+
+  // Type the search query with human-like delays
+  const formattedCheckIn = formatDate(checkIn);
+  const formattedCheckOut = formatDate(checkOut);
+  const searchQuery = `best hotel deals in ${destination} ${formattedCheckIn} to ${formattedCheckOut}`;
+  console.log('Preparing to search for:', searchQuery);
+  
+  const { handle: searchInput } = await waitForField(page, 'search.input', { run });
+  console.log('Found search input field');
+  
+  // Type each character with random delays
+  for (const char of searchQuery) {
+    await searchInput.type(char, { delay: Math.random() * 100 + 50 });
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 100));
+  }
+  console.log('Finished typing search query');
+  
+  await randomDelay();
+  await page.keyboard.press('Enter');
+  await randomDelay();
+  console.log('Search submitted');
+  progress(run, 35, 'Search submitted', 'search-submitted');
+
+  run.occupancy = await selectGuestCount(page, occupancy, run);
+  progress(run, 55, `Guests: ${run.occupancy.description}`, 'guests-selected');
+
+  // Wait for the hotel suggestions to load
+  console.log('Waiting for hotel suggestions to load...');
+  try {
+    await waitForField(page, 'results.card', { timeout: 30000 });
+    console.log('Hotel suggestions container found');
+    progress(run, 75, 'Results container found', 'results-found');
+  } catch (error) {
+    console.error('Hotel suggestions not found:', error);
+    return null;
+  }
+
+  await applyResultFilters(page, filters, run);
+
+  // Extract hotel suggestions
+  console.log('Extracting hotel suggestions...');
+  const hotelSuggestions = await collectResultPages(page, run, { minResults });
+
+  console.log('Found hotel suggestions:', hotelSuggestions);
+  return hotelSuggestions;
+}
+
+// Entity page deep link for a stay
+function withStayDates(url, { checkIn, checkOut }) {
+  const dated = new URL(url);
+  dated.searchParams.set('checkin', checkIn);
+  dated.searchParams.set('checkout', checkOut);
+  return dated.toString();
+}
+
+// Prices for many stays of one hotel in a single page: the hotel is looked up
+// once, then its entity page is reloaded with each stay's dates. A stay that
+// fails is reported with its error instead of failing the whole grid.
+async function scrapePriceCalendar(context, { hotelName, location, stays, occupancy }, run) {
+  const page = await context.newPage();
+  await openHotelPage(page, { hotelName, location }, run);
+  // Set once; the dated URLs below keep it
+  if (occupancy) run.occupancy = await applyTravelOccupancy(page, occupancy, run);
+  const entityUrl = page.url();
+  console.log('Hotel page for the calendar:', entityUrl);
+
+  const results = [];
+  for (const [index, stay] of stays.entries()) {
+    progress(run, 50 + Math.round(45 * index / stays.length), `Stay ${index + 1} of ${stays.length}: ${stay.checkIn} to ${stay.checkOut}`, 'calendar');
+    try {
+      await page.goto(withStayDates(entityUrl, stay), { waitUntil: 'networkidle' });
+      await clickField(page, 'nav.pricesTab', { timeout: 5000, run }).catch(() => {});
+      await waitForField(page, 'prices.offerLink', { timeout: 10000, run });
+      const listings = await runExtractor(page, 'prices', run);
+      results.push({ ...stay, listings });
+    } catch (error) {
+      // Aborted jobs close the page; stop instead of failing every stay left
+      if (run.signal && run.signal.aborted) throw error;
+      console.error(`No prices for ${stay.checkIn} to ${stay.checkOut}:`, error.message);
+      results.push({ ...stay, listings: [], error: error.message });
+    }
+  }
+  return results;
+}
+
+// Opens the Google Travel results page for a destination directly and reads
+// result pages until minResults hotels are in. Like the web search, resolves
+// with null when no results container shows up.
+async function scrapeTravelResults(context, city, run, { locale, currency, occupancy, minResults, ...filters } = {}) {
+  const page = await context.newPage();
+  
+  // Navigate to Google Travel search, in the destination's language and
+  // currency when it has them
+  const query = new URLSearchParams({ q: city });
+  if (locale) query.set('hl', locale);
+  if (currency) query.set('curr', currency);
+  const searchUrl = googleUrl(`/travel/search?${query}`);
+  console.log('Navigating to:', searchUrl);
+  await page.goto(searchUrl, { waitUntil: 'networkidle' });
+  console.log('Page loaded');
+  progress(run, 30, 'Opened search results', 'navigated');
+
+  // Wait for the hotel suggestions to load
+  console.log('Waiting for hotel suggestions to load...');
+  try {
+    await waitForField(page, 'results.card', { timeout: 30000 });
+    console.log('Hotel suggestions container found');
+    progress(run, 75, 'Results container found', 'results-found');
+  } catch (error) {
+    console.error('Hotel suggestions not found:', error);
+    return null;
+  }
+
+  if (occupancy) {
+    run.occupancy = await applyTravelOccupancy(page, occupancy, run);
+    await waitForField(page, 'results.card', { timeout: 30000, run });
+  }
+  await applyResultFilters(page, filters, run);
+
+  // Extract hotel suggestions
+  console.log('Extracting hotel suggestions...');
+  return collectResultPages(page, run, { minResults });
+}
+
+// Google Travel adapter. search() defaults to the typed Google web search used
+// by /api/hotel-suggestions; mode 'travel' opens the Google Travel results page
+// for the destination directly, which is what the popular-cities job uses.
+// Both set hotelClass and the price range in the results' filters panel and
+// page through the results until minResults hotels pass the filters.
+module.exports = {
+  name: 'google-travel',
+  description: 'Google Travel hotel search and entity pages',
+
+  async search({ destination, checkIn, checkOut, occupancy, mode = 'web', locale, currency, hotelClass, priceMin, priceMax, minResults }, run) {
+    const filters = { hotelClass, priceMin, priceMax, minResults };
+    if (mode === 'travel') {
+      return browserPool.withContext(
+        withLocale(SEARCH_CONTEXT_OPTIONS, locale),
+        context => scrapeTravelResults(context, destination, run, { locale, currency, occupancy, ...filters }),
+        { signal: run.signal }
+      );
+    }
+    return browserPool.withContext(
+      SEARCH_CONTEXT_OPTIONS,
+      context => scrapeHotelSuggestions(context, { destination, checkIn, checkOut, occupancy, currency, ...filters }, run),
+      { signal: run.signal }
+    );
+  },
+
+  info({ destination }, run) {
+    return browserPool.withContext(
+      { viewport: { width: 1920, height: 1080 } },
+      context => scrapeHotelInfo(context, destination, run),
+      { signal: run.signal }
+    );
+  },
+
+  images({ destination }, run) {
+    return browserPool.withContext(
+      DESKTOP_CONTEXT_OPTIONS,
+      context => scrapeHotelImages(context, destination, run),
+      { signal: run.signal }
+    );
+  },
+
+  prices({ hotelName, location, checkInDate, checkOutDate, occupancy }, run) {
+    return browserPool.withContext(
+      DESKTOP_CONTEXT_OPTIONS,
+      context => scrapeHotelPrices(context, { hotelName, location, checkInDate, checkOutDate, occupancy }, run),
+      { signal: run.signal }
+    );
+  },
+
+  priceCalendar({ hotelName, location, stays, occupancy }, run) {
+    return browserPool.withContext(
+      DESKTOP_CONTEXT_OPTIONS,
+      context => scrapePriceCalendar(context, { hotelName, location, stays, occupancy }, run),
+      { signal: run.signal }
+    );
+  },
+
+  reviews({ hotelName, location, limit }, run) {
+    return browserPool.withContext(
+      DESKTOP_CONTEXT_OPTIONS,
+      context => scrapeHotelReviews(context, { hotelName, location, limit }, run),
+      { signal: run.signal }
+    );
+  }
+};
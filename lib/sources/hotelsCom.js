@@ -0,0 +1,80 @@
+const { browserPool } = require('../browserPool');
+const { occupancyReport } = require('../occupancy');
+
+// AgentQL query describing the hotel cards on a hotels.com results page
+const HOTELS_QUERY = `
+{
+  hotels[] {
+    name
+    price
+    rating
+    location
+    image
+    booking_url
+  }
+}`;
+
+function loadAgentQL() {
+  if (!process.env.AGENTQL_API_KEY) {
+    const error = new Error('The hotels.com source requires AGENTQL_API_KEY to be set');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  let agentql;
+  try {
+    agentql = require('agentql');
+  } catch (error) {
+    const missing = new Error('The hotels.com source requires the agentql package to be installed');
+    missing.statusCode = 503;
+    throw missing;
+  }
+
+  agentql.configure({ apiKey: process.env.AGENTQL_API_KEY });
+  return agentql;
+}
+
+// hotels.com adapter backed by AgentQL. Only search is supported; the other
+// operations are served by Google Travel.
+module.exports = {
+  name: 'hotels-com',
+  description: 'hotels.com search results extracted with AgentQL',
+
+  async search({ destination, checkIn, checkOut, occupancy }, run = {}) {
+    const { wrap } = loadAgentQL();
+
+    const params = new URLSearchParams({ destination });
+    if (checkIn) params.set('startDate', checkIn);
+    if (checkOut) params.set('endDate', checkOut);
+    if (occupancy) {
+      // Adults per room ("2,1") and children as room_age ("1_4,1_9"); the
+      // children share the first room
+      const adults = Array.from({ length: occupancy.rooms }, (_, room) =>
+        Math.floor(occupancy.adults / occupancy.rooms) + (room < occupancy.adults % occupancy.rooms ? 1 : 0));
+      params.set('rooms', String(occupancy.rooms));
+      params.set('adults', adults.join(','));
+      if (occupancy.children.length > 0) params.set('children', occupancy.children.map(age => `1_${age}`).join(','));
+      run.occupancy = occupancyReport(occupancy);
+    }
+    const origin = (process.env.HOTELS_COM_BASE_URL || 'https://www.hotels.com').replace(/\/+$/, '');
+    const searchUrl = `${origin}/Hotel-Search?${params.toString()}`;
+
+    return browserPool.withContext({ viewport: { width: 1920, height: 1080 } }, async (context) => {
+      const page = await wrap(await context.newPage());
+      console.log('Navigating to:', searchUrl);
+      await page.goto(searchUrl, { waitUntil: 'networkidle' });
+
+      const hotelData = await page.queryData(HOTELS_QUERY);
+      console.log(`AgentQL returned ${(hotelData.hotels || []).length} hotels`);
+
+      return (hotelData.hotels || []).map(hotel => ({
+        name: hotel.name,
+        price: hotel.price,
+        rating: hotel.rating,
+        location: hotel.location,
+        image: hotel.image,
+        url: hotel.booking_url
+      }));
+    }, { signal: run.signal });
+  }
+};
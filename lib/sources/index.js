@@ -0,0 +1,178 @@
+const googleTravel = require('./googleTravel');
+const hotelsCom = require('./hotelsCom');
+const { toHotelSuggestion, toHotelInfo, toHotelImage, toPriceListing, toHotelReviews } = require('./schema');
+const { resolveCurrency, nightsBetween } = require('../pricing');
+const { sortListings } = require('../offers');
+const { normalizeOccupancy } = require('../occupancy');
+const { searchMatcher } = require('../searchFilters');
+const { responseCache, buildCacheKey } = require('../cache');
+
+const OPERATIONS = ['search', 'info', 'images', 'prices', 'priceCalendar', 'reviews'];
+const DEFAULT_SOURCE = process.env.DEFAULT_SOURCE || googleTravel.name;
+
+// Maps a single record of each list-returning operation onto the shared schema
+const itemNormalizers = {
+  search: toHotelSuggestion,
+  images: toHotelImage,
+  prices: toPriceListing
+};
+
+// Maps each operation's raw adapter output onto the shared response schema
+const normalizers = {
+  search: (result, source, pricing) => result.map(item => toHotelSuggestion(item, source, pricing)),
+  info: (result, source) => toHotelInfo(result, source),
+  images: (result, source) => result.map(item => toHotelImage(item, source)),
+  // Cheapest provider first
+  prices: (result, source, pricing) => sortListings(
+    result.map(item => toPriceListing(item, source, pricing)),
+    pricing.nights
+  ),
+  // One entry per stay, each priced for its own number of nights
+  priceCalendar: (result, source, pricing) => result.map(stay => {
+    const nights = nightsBetween(stay.checkIn, stay.checkOut);
+    return {
+      ...stay,
+      listings: sortListings((stay.listings || []).map(item => toPriceListing(item, source, { ...pricing, nights })), nights)
+    };
+  }),
+  reviews: (result, source) => toHotelReviews(result, source)
+};
+
+const sources = new Map();
+
+class SourceError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'SourceError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Stay length, target currency and page locale used when parsing prices.
+// Search takes checkIn/checkOut while prices takes checkInDate/checkOutDate.
+function pricingContext(params = {}) {
+  return {
+    nights: nightsBetween(params.checkIn || params.checkInDate, params.checkOut || params.checkOutDate),
+    currency: resolveCurrency(params.currency),
+    locale: params.locale || null
+  };
+}
+
+// Operations whose results depend on who is staying
+const OCCUPANCY_OPERATIONS = ['search', 'prices', 'priceCalendar'];
+
+// Params with occupancy normalized for the operations that use it, so
+// adapters and cache keys always see { rooms, adults, children } even when
+// the caller passed the older travelers count
+function withOccupancy(operation, params = {}) {
+  if (!OCCUPANCY_OPERATIONS.includes(operation)) return params;
+  const { travelers, ...rest } = params;
+  return { ...rest, occupancy: normalizeOccupancy(params.occupancy, { travelers }) };
+}
+
+// Adapters are plain objects with a unique name and any subset of OPERATIONS
+function registerSource(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Source adapters need a name');
+  }
+  if (!OPERATIONS.some(operation => typeof adapter[operation] === 'function')) {
+    throw new Error(`Source "${adapter.name}" does not implement any of: ${OPERATIONS.join(', ')}`);
+  }
+  sources.set(adapter.name, adapter);
+}
+
+function getSource(name) {
+  const adapter = sources.get(name || DEFAULT_SOURCE);
+  if (!adapter) {
+    throw new SourceError(
+      `Unknown source "${name}". Available sources: ${Array.from(sources.keys()).join(', ')}`,
+      400
+    );
+  }
+  return adapter;
+}
+
+function listSources() {
+  return Array.from(sources.values()).map(adapter => ({
+    name: adapter.name,
+    description: adapter.description || '',
+    operations: OPERATIONS.filter(operation => typeof adapter[operation] === 'function'),
+    default: adapter.name === DEFAULT_SOURCE
+  }));
+}
+
+// Runs one operation on the named (or default) source and normalizes the
+// result. Adapters signal "nothing found" by resolving with null. The run
+// object is shared with the adapter, which records details such as the
+// selector report (run.selectors) and whether the requested occupancy could
+// be applied (run.occupancy) on it. An unsupported params.currency or an
+// invalid occupancy is rejected before anything is scraped.
+//
+// When run.onItem is set, records that an extractor emits while it is still
+// running (run.emit, see lib/extractors) are normalized and passed to it one at
+// a time; the full list is still returned at the end.
+//
+// For searches with price, class, rating or amenity filters, run.matches
+// tells the adapter whether a raw record passes them once normalized, so it
+// can keep reading result pages until enough of them do.
+async function runSourceOperation(name, operation, params, run = {}) {
+  const adapter = getSource(name);
+  if (typeof adapter[operation] !== 'function') {
+    throw new SourceError(`Source "${adapter.name}" does not support "${operation}"`, 501);
+  }
+  params = withOccupancy(operation, params);
+  const pricing = pricingContext(params);
+  if (typeof run.onItem === 'function' && itemNormalizers[operation]) {
+    run.emit = raw => run.onItem(itemNormalizers[operation](raw, adapter.name, pricing));
+  }
+  const matcher = operation === 'search' ? searchMatcher(params) : null;
+  if (matcher) {
+    run.matches = raw => matcher(itemNormalizers.search(raw, adapter.name, pricing));
+  }
+
+  const result = await adapter[operation](params, run);
+  if (result === null || result === undefined) {
+    return null;
+  }
+  return normalizers[operation](result, adapter.name, pricing);
+}
+
+// runSourceOperation behind the response cache. Identical concurrent calls
+// share one scrape, and with fresh: true the cached copy is skipped (the new
+// result still replaces it). run.cache reports { key, status, age } where
+// status is hit, stale, miss, coalesced or bypass.
+async function cachedSourceOperation(name, operation, params, run = {}, { fresh = false } = {}) {
+  const adapter = getSource(name);
+  params = withOccupancy(operation, params);
+  const key = buildCacheKey(operation, adapter.name, params);
+
+  const result = await responseCache.wrap(
+    key,
+    operation,
+    innerRun => runSourceOperation(adapter.name, operation, params, innerRun),
+    { fresh, signal: run.signal, progress: run.progress }
+  );
+
+  run.selectors = result.selectors;
+  run.occupancy = result.occupancy;
+  run.cache = {
+    key,
+    status: result.status,
+    age: result.entry ? Math.floor((Date.now() - result.entry.createdAt) / 1000) : 0
+  };
+  return result.value;
+}
+
+registerSource(googleTravel);
+registerSource(hotelsCom);
+
+module.exports = {
+  OPERATIONS,
+  DEFAULT_SOURCE,
+  SourceError,
+  registerSource,
+  getSource,
+  listSources,
+  runSourceOperation,
+  cachedSourceOperation
+};
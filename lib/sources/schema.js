@@ -0,0 +1,124 @@
+// Common response shapes shared by every source adapter. Adapters may return
+// partial records; these helpers fill in the gaps so API consumers always see
+// the same fields regardless of where the data came from.
+//
+// Prices are parsed into { amount, currency, basis, perNight, total, nights,
+// includesTaxes, text } using the pricing context built from the request
+// (number of nights and the optional target currency). Ratings, review counts
+// and star class are numeric, with the scraped strings kept alongside.
+// Review scores are on the same 5-point scale and relative review dates are
+// turned into approximate YYYY-MM-DD dates. Amenities keep the page's wording
+// and gain their canonical codes (see lib/amenities.js) in amenityCodes.
+const { normalizePrice } = require('../pricing');
+const { parseRating, parseReviewCount, parseHotelClass } = require('../metrics');
+const { parseReviewDate } = require('../reviews');
+const { amenityCodes } = require('../amenities');
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+}
+
+function amenityList(value) {
+  return Array.isArray(value) ? value.map(text).filter(Boolean) : [];
+}
+
+function toHotelSuggestion(raw, source, pricing = {}) {
+  const amenities = amenityList(raw.amenities);
+  return {
+    entityId: text(raw.entityId),
+    name: text(raw.name),
+    price: normalizePrice(raw.price, pricing),
+    rating: parseRating(raw.rating),
+    ratingText: text(raw.rating),
+    reviews: text(raw.reviews),
+    reviewCount: parseReviewCount(raw.reviews),
+    hotelClass: parseHotelClass(raw.hotelClass),
+    hotelClassText: text(raw.hotelClass),
+    deal: text(raw.deal),
+    url: text(raw.url),
+    image: text(raw.image),
+    location: text(raw.location),
+    amenities,
+    amenityCodes: amenityCodes(amenities),
+    description: text(raw.description),
+    source
+  };
+}
+
+function toHotelInfo(raw, source) {
+  const amenities = amenityList(raw.amenities);
+  return {
+    description: text(raw.description),
+    checkInTime: text(raw.checkInTime),
+    checkOutTime: text(raw.checkOutTime),
+    address: text(raw.address),
+    phone: text(raw.phone),
+    websiteUrl: text(raw.websiteUrl),
+    amenities,
+    amenityCodes: amenityCodes(amenities),
+    source
+  };
+}
+
+function toHotelImage(raw, source) {
+  return {
+    url: text(raw.url),
+    alt: text(raw.alt),
+    caption: text(raw.caption),
+    source
+  };
+}
+
+function toRoomOffer(raw, pricing) {
+  return {
+    ...raw,
+    basePrice: normalizePrice(raw.basePrice, pricing),
+    totalPrice: normalizePrice(raw.totalPrice, pricing)
+  };
+}
+
+function toPriceListing(raw, source, pricing = {}) {
+  return {
+    ...raw,
+    rooms: Array.isArray(raw.rooms) ? raw.rooms.map(room => toRoomOffer(room, pricing)) : [],
+    source
+  };
+}
+
+function toReview(raw, source) {
+  return {
+    author: text(raw.author),
+    text: text(raw.text),
+    score: parseRating(raw.score),
+    scoreText: text(raw.score),
+    date: parseReviewDate(raw.date),
+    dateText: text(raw.date),
+    // Where the review was first posted (Google, Tripadvisor, ...)
+    postedOn: text(raw.source),
+    tripType: text(raw.tripType),
+    travelerType: text(raw.travelerType),
+    source
+  };
+}
+
+function toHotelReviews(raw, source) {
+  return {
+    rating: parseRating(raw.rating),
+    ratingText: text(raw.rating),
+    reviewCount: parseReviewCount(raw.reviewCount),
+    aspects: (Array.isArray(raw.aspects) ? raw.aspects : [])
+      .map(aspect => ({ name: text(aspect.name), score: parseRating(aspect.score), scoreText: text(aspect.score) }))
+      .filter(aspect => aspect.name),
+    reviews: (Array.isArray(raw.reviews) ? raw.reviews : []).map(review => toReview(review, source)),
+    source
+  };
+}
+
+module.exports = {
+  toHotelSuggestion,
+  toHotelInfo,
+  toHotelImage,
+  toPriceListing,
+  toHotelReviews
+};
@@ -0,0 +1,195 @@
+const { FileDatabase } = require('./fileDatabase');
+const { migrate } = require('./fileMigrations');
+
+// Sorts nulls last, like "order by ... desc nulls last"
+function descending(field) {
+  return (a, b) => {
+    const left = a[field];
+    const right = b[field];
+    if (left === right) return 0;
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    return right > left ? 1 : -1;
+  };
+}
+
+function createFileBackend({ dir }) {
+  const db = new FileDatabase(dir);
+  const dealsTable = db.table('daily_hotel_deals');
+  const hotelsTable = db.table('hotels');
+  const jobsTable = db.table('scrape_jobs');
+  const watchesTable = db.table('price_watches');
+  const schedulesTable = db.table('schedules');
+  const destinationsTable = db.table('destinations');
+
+  // Rows of the latest scrape for each destination, like the
+  // current_hotel_deals view
+  function currentDeals(destination) {
+    const latest = new Map();
+    for (const row of dealsTable.all()) {
+      const seen = latest.get(row.destination);
+      if (!seen || row.created_at > seen.created_at) latest.set(row.destination, row);
+    }
+    return dealsTable.all().filter(row => {
+      if (destination && row.destination !== destination) return false;
+      const newest = latest.get(row.destination);
+      return newest && row.scrape_id === newest.scrape_id;
+    });
+  }
+
+  function latestDestination() {
+    const rows = dealsTable.all();
+    if (rows.length === 0) return null;
+    return rows.reduce((newest, row) => (row.created_at > newest.created_at ? row : newest)).destination;
+  }
+
+  const deals = {
+    async insertMany(rows) {
+      return dealsTable.insert(rows);
+    },
+
+    async current({ destination, limit = 100 } = {}) {
+      return currentDeals(destination).slice(0, limit);
+    },
+
+    // Best rated current deals for one destination, the most recently scraped
+    // one unless given
+    async top({ destination, limit = 3, offset = 0 } = {}) {
+      const byRating = descending('rating');
+      const byReviews = descending('review_count');
+      return currentDeals(destination || latestDestination())
+        .sort((a, b) => byRating(a, b) || byReviews(a, b))
+        .slice(offset, offset + limit);
+    },
+
+    // Every snapshot of a hotel under any of its ids, oldest first
+    async history(hotelIds, { destination, checkIn, checkOut, limit = 1000 } = {}) {
+      return dealsTable.all()
+        .filter(row => hotelIds.includes(row.hotel_id) &&
+          (!destination || row.destination === destination) &&
+          (!checkIn || row.check_in_date === checkIn) &&
+          (!checkOut || row.check_out_date === checkOut))
+        .sort((a, b) => (a.created_at > b.created_at ? 1 : a.created_at < b.created_at ? -1 : 0))
+        .slice(-limit);
+    },
+
+    async list({ destination, limit = 100 } = {}) {
+      return dealsTable.all()
+        .filter(row => !destination || row.destination === destination)
+        .slice(-limit)
+        .reverse();
+    }
+  };
+
+  const hotels = {
+    async upsertMany(rows) {
+      return hotelsTable.upsert(rows, 'id');
+    },
+
+    async get(id) {
+      return hotelsTable.all().find(row => row.id === id) || null;
+    },
+
+    async findByAlias(id) {
+      return hotelsTable.all().find(row => (row.aliases || []).includes(id)) || null;
+    },
+
+    async findByEntityId(entityId) {
+      return hotelsTable.all().find(row => row.entity_id === entityId) || null;
+    },
+
+    // Hotels a new observation could be a duplicate of
+    async candidates({ destination } = {}) {
+      return hotelsTable.all().filter(row => !destination || !row.destination || row.destination === destination);
+    },
+
+    async list({ destination, limit = 100, offset = 0 } = {}) {
+      return hotelsTable.all()
+        .filter(row => !destination || row.destination === destination)
+        .slice(offset, offset + limit);
+    }
+  };
+
+  const jobs = {
+    async loadAll() {
+      return jobsTable.all().map(row => row.data);
+    },
+
+    async save(job) {
+      await jobsTable.upsert([{
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        created_at: job.createdAt,
+        data: job
+      }], 'id');
+    },
+
+    async remove(ids) {
+      const doomed = new Set(ids);
+      return jobsTable.remove(row => doomed.has(row.id));
+    }
+  };
+
+  const watches = {
+    async loadAll() {
+      return watchesTable.all().map(row => row.data);
+    },
+
+    async save(watch) {
+      await watchesTable.upsert([{
+        id: watch.id,
+        owner: watch.owner,
+        status: watch.status,
+        created_at: watch.createdAt,
+        data: watch
+      }], 'id');
+    },
+
+    async remove(ids) {
+      const doomed = new Set(ids);
+      return watchesTable.remove(row => doomed.has(row.id));
+    }
+  };
+
+  const schedules = {
+    async loadAll() {
+      return schedulesTable.all().map(row => row.data);
+    },
+
+    async save(schedule) {
+      await schedulesTable.upsert([{ id: schedule.id, updated_at: new Date().toISOString(), data: schedule }], 'id');
+    }
+  };
+
+  const destinations = {
+    async list() {
+      return destinationsTable.all().slice();
+    },
+
+    async upsert(destination) {
+      await destinationsTable.upsert([destination], 'id');
+      return destination;
+    },
+
+    async remove(id) {
+      return destinationsTable.remove(row => row.id === id);
+    }
+  };
+
+  return {
+    name: 'file',
+    description: `JSON files in ${dir}`,
+    deals,
+    hotels,
+    jobs,
+    watches,
+    schedules,
+    destinations,
+    migrate: () => migrate(db)
+  };
+}
+
+module.exports = {
+  createFileBackend
+};
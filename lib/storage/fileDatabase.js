@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal JSON-file database for local development and tests: each table is
+// an array of rows in <dir>/<table>.json. Tables are read once and kept in
+// memory; writes are serialized per table and land via write-then-rename so a
+// crash never leaves a half-written file.
+class FileTable {
+  constructor(dir, name) {
+    this.name = name;
+    this.file = path.join(dir, `${name}.json`);
+    this.rows = null;
+    this.nextId = 1;
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (this.rows) return this.rows;
+    this.rows = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : [];
+    this.nextId = this.rows.reduce((max, row) => (typeof row.id === 'number' ? Math.max(max, row.id) : max), 0) + 1;
+    return this.rows;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  all() {
+    return this.load();
+  }
+
+  // Rows without an id get the next auto-increment value
+  insert(rows) {
+    const table = this.load();
+    const inserted = rows.map(row => ({ ...row, id: row.id !== undefined ? row.id : this.nextId++ }));
+    table.push(...inserted);
+    return this.flush().then(() => inserted);
+  }
+
+  // Inserts or replaces rows matching on the key column
+  upsert(rows, key = 'id') {
+    const table = this.load();
+    for (const row of rows) {
+      const index = table.findIndex(existing => existing[key] === row[key]);
+      if (index === -1) {
+        table.push(row.id !== undefined ? row : { ...row, id: this.nextId++ });
+      } else {
+        table[index] = { ...table[index], ...row };
+      }
+    }
+    return this.flush().then(() => rows);
+  }
+
+  remove(predicate) {
+    const table = this.load();
+    const kept = table.filter(row => !predicate(row));
+    const removed = table.length - kept.length;
+    this.rows = kept;
+    return this.flush().then(() => removed);
+  }
+
+  replace(rows) {
+    this.rows = [];
+    this.nextId = 1;
+    return this.insert(rows);
+  }
+
+  // The caller sees its own write fail; the next flush still runs after it
+  // and writes the whole table again
+  flush() {
+    const snapshot = JSON.stringify(this.rows, null, 2);
+    const write = this.writing.catch(() => {}).then(async () => {
+      const tmp = `${this.file}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, this.file);
+    });
+    this.writing = write;
+    return write;
+  }
+}
+
+class FileDatabase {
+  constructor(dir) {
+    this.dir = dir;
+    this.tables = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new FileTable(this.dir, name));
+    }
+    return this.tables.get(name);
+  }
+}
+
+module.exports = {
+  FileDatabase,
+  FileTable
+};
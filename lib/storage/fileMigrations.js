@@ -0,0 +1,141 @@
+const { parseRating, parseReviewCount } = require('../metrics');
+const { parsePrice } = require('../pricing');
+const { hotelKey } = require('../hotels');
+const DEFAULT_DESTINATIONS = require('./defaultDestinations.json');
+
+// Schema migrations for the file backend, applied in order and recorded in
+// the schema_migrations table. They mirror supabase/migrations, which hold the
+// SQL for the Supabase backend; add a step to both when the schema changes.
+const MIGRATIONS = [
+  {
+    id: '20250601000000_daily_hotel_deals',
+    up: async db => {
+      const deals = db.table('daily_hotel_deals');
+      if (!deals.exists()) await deals.replace([]);
+    }
+  },
+  {
+    id: '20250602000000_typed_hotel_deal_metrics',
+    up: async db => {
+      const deals = db.table('daily_hotel_deals');
+      const rows = deals.all().map(row => ({
+        ...row,
+        rating: typeof row.rating === 'number' ? row.rating : parseRating(row.rating),
+        rating_text: row.rating_text !== undefined ? row.rating_text : row.rating,
+        review_count: row.review_count !== undefined ? row.review_count : parseReviewCount(row.reviews),
+        hotel_class: row.hotel_class !== undefined ? row.hotel_class : null
+      }));
+      await deals.upsert(rows);
+    }
+  },
+  {
+    id: '20250603000000_hotels_and_jobs',
+    up: async db => {
+      for (const name of ['hotels', 'scrape_jobs']) {
+        const table = db.table(name);
+        if (!table.exists()) await table.replace([]);
+      }
+    }
+  },
+  {
+    id: '20250604000000_hotel_deal_snapshots',
+    up: async db => {
+      // Rows saved before snapshots were kept all came from one replaced batch
+      const deals = db.table('daily_hotel_deals');
+      const rows = deals.all().map(row => {
+        const price = row.price_amount !== undefined ? null : parsePrice(row.price);
+        return {
+          ...row,
+          hotel_id: row.hotel_id || hotelKey(row.name, row.destination),
+          scrape_id: row.scrape_id || 'legacy',
+          price_amount: row.price_amount !== undefined ? row.price_amount : (price ? price.amount : null),
+          price_currency: row.price_currency !== undefined ? row.price_currency : (price ? price.currency : null)
+        };
+      });
+      await deals.upsert(rows);
+    }
+  },
+  {
+    id: '20250605000000_canonical_hotels',
+    up: async db => {
+      const hotels = db.table('hotels');
+      const rows = hotels.all().map(row => ({
+        entity_id: null,
+        names: [],
+        aliases: [],
+        destination: null,
+        address: null,
+        first_seen: null,
+        last_seen: null,
+        observations: 0,
+        ...row
+      }));
+      await hotels.replace(rows);
+    }
+  },
+  {
+    id: '20250606000000_price_watches',
+    up: async db => {
+      const watches = db.table('price_watches');
+      if (!watches.exists()) await watches.replace([]);
+    }
+  },
+  {
+    id: '20250607000000_schedules',
+    up: async db => {
+      const schedules = db.table('schedules');
+      if (!schedules.exists()) await schedules.replace([]);
+    }
+  },
+  {
+    id: '20250608000000_destinations',
+    up: async db => {
+      const destinations = db.table('destinations');
+      if (destinations.exists()) return;
+      const now = new Date().toISOString();
+      await destinations.replace(DEFAULT_DESTINATIONS.map(destination => ({
+        ...destination,
+        currency: null,
+        locale: null,
+        priority: 0,
+        enabled: true,
+        created_at: now,
+        updated_at: now
+      })));
+    }
+  },
+  {
+    id: '20250609000000_deal_occupancy',
+    up: async db => {
+      const deals = db.table('daily_hotel_deals');
+      const rows = deals.all().map(row => ({
+        ...row,
+        occupancy: row.occupancy !== undefined
+          ? row.occupancy
+          : (row.travelers ? { rooms: 1, adults: row.travelers, children: [] } : null)
+      }));
+      await deals.upsert(rows);
+    }
+  }
+];
+
+// Applies pending migrations and resolves with the ids that ran
+async function migrate(db) {
+  const applied = db.table('schema_migrations');
+  const done = new Set(applied.all().map(row => row.id));
+  const ran = [];
+
+  for (const migration of MIGRATIONS) {
+    if (done.has(migration.id)) continue;
+    await migration.up(db);
+    await applied.insert([{ id: migration.id, applied_at: new Date().toISOString() }]);
+    ran.push(migration.id);
+  }
+
+  return ran;
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrate
+};
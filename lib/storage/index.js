@@ -0,0 +1,52 @@
+const path = require('path');
+const { createFileBackend } = require('./fileBackend');
+
+// Repositories for deals, hotels, jobs, price watches, schedule state and
+// destinations behind one interface. The backend is chosen with
+// STORAGE_BACKEND:
+//
+//   supabase   SUPABASE_URL + SUPABASE_KEY (the default when both are set)
+//   file       JSON files in STORAGE_DIR (default data/db), for development
+//              and tests without touching the production project
+//
+// With NODE_ENV=production the file backend has to be asked for by name, so a
+// deploy that lost its Supabase settings fails to start instead of quietly
+// writing to local disk.
+function createStorage(backend = process.env.STORAGE_BACKEND) {
+  const hasSupabase = Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_KEY);
+  if (!backend && !hasSupabase) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY are not set. Set them, or STORAGE_BACKEND=file to store data in local files.');
+    }
+    console.warn('WARNING: SUPABASE_URL and SUPABASE_KEY are not set, falling back to local file storage. Set STORAGE_BACKEND=file to silence this.');
+  }
+  const selected = backend || (hasSupabase ? 'supabase' : 'file');
+
+  if (selected === 'supabase') {
+    if (!hasSupabase) {
+      throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_KEY');
+    }
+    // Loaded on demand so the file backend works without the Supabase client
+    const { createSupabaseBackend } = require('./supabaseBackend');
+    return createSupabaseBackend({ url: process.env.SUPABASE_URL, key: process.env.SUPABASE_KEY });
+  }
+  if (selected === 'file') {
+    return createFileBackend({ dir: process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'db') });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND "${selected}". Use "supabase" or "file".`);
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`Using ${storage.name} storage (${storage.description})`);
+  }
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  getStorage
+};
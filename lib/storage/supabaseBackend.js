@@ -0,0 +1,189 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase (Postgres) backend. The schema is managed with the SQL files in
+// supabase/migrations, applied with the Supabase CLI (supabase db push).
+function createSupabaseBackend({ url, key }) {
+  const supabase = createClient(url, key);
+
+  // Throws a plain Error carrying the Supabase message, as the routes expect
+  function check({ data, error }, action) {
+    if (error) {
+      console.error(`Supabase error while trying to ${action}:`, error);
+      throw new Error(`Failed to ${action}: ${error.message}`);
+    }
+    return data;
+  }
+
+  async function latestDestination() {
+    const rows = check(await supabase
+      .from('daily_hotel_deals')
+      .select('destination')
+      .order('created_at', { ascending: false })
+      .limit(1), 'find the latest destination');
+    return rows.length > 0 ? rows[0].destination : null;
+  }
+
+  const deals = {
+    async insertMany(rows) {
+      return check(await supabase.from('daily_hotel_deals').insert(rows).select(), 'save hotel deals');
+    },
+
+    async current({ destination, limit = 100 } = {}) {
+      let query = supabase.from('current_hotel_deals').select('*');
+      if (destination) query = query.eq('destination', destination);
+      return check(await query.limit(limit), 'list current hotel deals');
+    },
+
+    async top({ destination, limit = 3, offset = 0 } = {}) {
+      const target = destination || await latestDestination();
+      if (!target) return [];
+      return check(await supabase
+        .from('current_hotel_deals')
+        .select('*')
+        .eq('destination', target)
+        .order('rating', { ascending: false, nullsFirst: false })
+        .order('review_count', { ascending: false, nullsFirst: false })
+        .range(offset, offset + limit - 1), 'fetch top hotels');
+    },
+
+    async history(hotelIds, { destination, checkIn, checkOut, limit = 1000 } = {}) {
+      let query = supabase.from('daily_hotel_deals').select('*').in('hotel_id', hotelIds);
+      if (destination) query = query.eq('destination', destination);
+      if (checkIn) query = query.eq('check_in_date', checkIn);
+      if (checkOut) query = query.eq('check_out_date', checkOut);
+      const rows = check(await query.order('created_at', { ascending: false }).limit(limit), 'fetch price history');
+      return rows.reverse();
+    },
+
+    async list({ destination, limit = 100 } = {}) {
+      let query = supabase.from('daily_hotel_deals').select('*');
+      if (destination) query = query.eq('destination', destination);
+      return check(await query.order('created_at', { ascending: false }).limit(limit), 'list hotel deals');
+    }
+  };
+
+  const hotels = {
+    async upsertMany(rows) {
+      return check(await supabase.from('hotels').upsert(rows, { onConflict: 'id' }).select(), 'save hotels');
+    },
+
+    async get(id) {
+      return check(await supabase.from('hotels').select('*').eq('id', id).maybeSingle(), 'fetch hotel');
+    },
+
+    async findByAlias(id) {
+      const rows = check(await supabase.from('hotels').select('*').contains('aliases', [id]).limit(1), 'fetch hotel');
+      return rows[0] || null;
+    },
+
+    async findByEntityId(entityId) {
+      return check(await supabase.from('hotels').select('*').eq('entity_id', entityId).maybeSingle(), 'fetch hotel');
+    },
+
+    async candidates({ destination } = {}) {
+      let query = supabase.from('hotels').select('*');
+      if (destination) query = query.or(`destination.eq."${destination.replace(/"/g, '')}",destination.is.null`);
+      return check(await query.limit(1000), 'fetch candidate hotels');
+    },
+
+    async list({ destination, limit = 100, offset = 0 } = {}) {
+      let query = supabase.from('hotels').select('*');
+      if (destination) query = query.eq('destination', destination);
+      return check(await query.order('name').range(offset, offset + limit - 1), 'list hotels');
+    }
+  };
+
+  const jobs = {
+    async loadAll() {
+      const rows = check(await supabase.from('scrape_jobs').select('data'), 'load jobs');
+      return rows.map(row => row.data);
+    },
+
+    async save(job) {
+      check(await supabase.from('scrape_jobs').upsert({
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        created_at: job.createdAt,
+        data: job
+      }, { onConflict: 'id' }), 'save job');
+    },
+
+    async remove(ids) {
+      if (ids.length === 0) return 0;
+      check(await supabase.from('scrape_jobs').delete().in('id', ids), 'delete jobs');
+      return ids.length;
+    }
+  };
+
+  const watches = {
+    async loadAll() {
+      const rows = check(await supabase.from('price_watches').select('data'), 'load watches');
+      return rows.map(row => row.data);
+    },
+
+    async save(watch) {
+      check(await supabase.from('price_watches').upsert({
+        id: watch.id,
+        owner: watch.owner,
+        status: watch.status,
+        created_at: watch.createdAt,
+        data: watch
+      }, { onConflict: 'id' }), 'save watch');
+    },
+
+    async remove(ids) {
+      if (ids.length === 0) return 0;
+      check(await supabase.from('price_watches').delete().in('id', ids), 'delete watches');
+      return ids.length;
+    }
+  };
+
+  const schedules = {
+    async loadAll() {
+      const rows = check(await supabase.from('schedules').select('data'), 'load schedules');
+      return rows.map(row => row.data);
+    },
+
+    async save(schedule) {
+      check(await supabase.from('schedules').upsert({
+        id: schedule.id,
+        updated_at: new Date().toISOString(),
+        data: schedule
+      }, { onConflict: 'id' }), 'save schedule');
+    }
+  };
+
+  const destinations = {
+    async list() {
+      return check(await supabase.from('destinations').select('*'), 'list destinations');
+    },
+
+    async upsert(destination) {
+      const rows = check(await supabase.from('destinations').upsert(destination, { onConflict: 'id' }).select(), 'save destination');
+      return rows[0];
+    },
+
+    async remove(id) {
+      check(await supabase.from('destinations').delete().eq('id', id), 'delete destination');
+      return 1;
+    }
+  };
+
+  return {
+    name: 'supabase',
+    description: `Supabase project ${url}`,
+    deals,
+    hotels,
+    jobs,
+    watches,
+    schedules,
+    destinations,
+    // Schema changes go through the Supabase CLI, nothing to do at runtime
+    migrate: async () => []
+  };
+}
+
+module.exports = {
+  createSupabaseBackend
+};
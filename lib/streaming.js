@@ -0,0 +1,74 @@
+// Event streams for long-running scrapes. Two wire formats are supported:
+//
+//   sse      text/event-stream, "event: <name>\ndata: <json>\n\n"
+//   ndjson   application/x-ndjson, one {"event": <name>, "data": <json>} per line
+//
+// Either way, the stream's signal aborts when the client disconnects so the
+// scrape can be stopped.
+
+const FORMATS = ['sse', 'ndjson'];
+
+// Picks the format from ?stream= / body.stream, then the Accept header.
+// Returns null when the client did not ask for a stream.
+function streamFormat(req) {
+  const requested = (req.query && req.query.stream) || (req.body && req.body.stream);
+  if (requested === true || requested === 'true') return 'sse';
+  if (FORMATS.includes(requested)) return requested;
+
+  const accept = req.get('Accept') || '';
+  if (accept.includes('text/event-stream')) return 'sse';
+  if (accept.includes('application/x-ndjson')) return 'ndjson';
+  return null;
+}
+
+function createEventStream(req, res, format = 'sse') {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle SSE connection
+  const heartbeat = format === 'sse'
+    ? setInterval(() => res.write(': keep-alive\n\n'), 15000)
+    : null;
+
+  res.on('close', () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    controller.abort(new Error('Client disconnected'));
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (closed) return;
+      if (format === 'sse') {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      } else {
+        res.write(`${JSON.stringify({ event, data })}\n`);
+      }
+    },
+
+    end() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  FORMATS,
+  streamFormat,
+  createEventStream
+};
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { validateNotifier, notify } = require('./notifiers');
+const { normalizeOccupancy, describeOccupancy } = require('./occupancy');
+const { resolveCurrency } = require('./pricing');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+class WatchError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WatchError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Optional settings objects in the request body, undefined when left out
+function optionalObject(value, name) {
+  if (value === undefined) return undefined;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new WatchError(`${name} must be an object`, 400);
+  }
+  return value;
+}
+
+function positiveNumber(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new WatchError(`threshold.${name} must be a positive number`, 400);
+  }
+  return number;
+}
+
+// A drop is reported when the price falls by percent or amount below the
+// lowest price recorded so far, or under targetPrice
+function validateThreshold(input) {
+  const threshold = optionalObject(input, 'threshold') || {};
+  const result = {
+    percent: positiveNumber(threshold.percent, 'percent'),
+    amount: positiveNumber(threshold.amount, 'amount'),
+    targetPrice: positiveNumber(threshold.targetPrice, 'targetPrice')
+  };
+  if (result.percent === null && result.amount === null && result.targetPrice === null) {
+    result.percent = envInt('WATCH_DROP_PERCENT', 5);
+  }
+  return result;
+}
+
+// Cheapest nightly rate across every provider and room in a prices result
+function lowestOffer(listings) {
+  let lowest = null;
+  for (const listing of listings || []) {
+    for (const room of listing.rooms || []) {
+      const price = room.basePrice || room.totalPrice;
+      const amount = price && (price.perNight ?? price.amount);
+      if (typeof amount !== 'number') continue;
+      if (!lowest || amount < lowest.amount) {
+        lowest = { amount, currency: price.currency || null, provider: listing.provider || null, room: room.type || null, url: room.url || null };
+      }
+    }
+  }
+  return lowest;
+}
+
+function crossed(threshold, lowestPrice, price) {
+  if (threshold.targetPrice !== null && price <= threshold.targetPrice &&
+    (lowestPrice === null || lowestPrice > threshold.targetPrice)) {
+    return `at or below the target of ${threshold.targetPrice}`;
+  }
+  if (lowestPrice === null) return null;
+  const drop = lowestPrice - price;
+  if (threshold.amount !== null && drop >= threshold.amount) {
+    return `${drop.toFixed(2)} below the previous low of ${lowestPrice}`;
+  }
+  if (threshold.percent !== null && drop / lowestPrice * 100 >= threshold.percent) {
+    return `${(drop / lowestPrice * 100).toFixed(1)}% below the previous low of ${lowestPrice}`;
+  }
+  return null;
+}
+
+// Price watches on one hotel and stay. Each watch is re-checked every
+// intervalMinutes by submitting a "watch-check" job, which scrapes the Prices
+// tab like /api/hotel-prices and compares the cheapest offer with the lowest
+// price recorded so far. Crossing the threshold fires the watch's notifier.
+class WatchlistService {
+  constructor(jobQueue, options = {}) {
+    this.jobQueue = jobQueue;
+    this.repository = options.repository || null;
+    this.defaultInterval = options.defaultInterval || envInt('WATCH_INTERVAL_MINUTES', 360);
+    this.tickInterval = options.tickInterval || envInt('WATCH_TICK_MS', 60 * 1000);
+    this.maxAlerts = options.maxAlerts || 50;
+
+    this.watches = new Map();
+    this.timer = null;
+    this.saving = Promise.resolve();
+  }
+
+  get store() {
+    return this.repository || getStorage().watches;
+  }
+
+  async load() {
+    const saved = await this.store.loadAll();
+    for (const watch of saved) {
+      this.watches.set(watch.id, watch);
+    }
+  }
+
+  // Checks for due watches every tickInterval
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  persist(watch) {
+    const snapshot = JSON.parse(JSON.stringify(watch));
+    this.saving = this.saving
+      .then(() => this.store.save(snapshot))
+      .catch(error => console.error(`Could not save watch ${watch.id}:`, error.message));
+    return this.saving;
+  }
+
+  create(params, owner = null) {
+    const { hotelName, location, checkInDate, checkOutDate, currency, source } = params;
+    if (!hotelName || !location || !checkInDate || !checkOutDate) {
+      throw new WatchError('hotelName, location, checkInDate and checkOutDate are required', 400);
+    }
+    if (!DATE.test(checkInDate) || !DATE.test(checkOutDate) || checkOutDate <= checkInDate) {
+      throw new WatchError('checkInDate and checkOutDate must be YYYY-MM-DD with check-out after check-in', 400);
+    }
+    const intervalMinutes = params.intervalMinutes === undefined
+      ? this.defaultInterval
+      : parseInt(params.intervalMinutes, 10);
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes < 15) {
+      throw new WatchError('intervalMinutes must be at least 15', 400);
+    }
+    // Checked now rather than on every later scrape
+    let watchCurrency;
+    try {
+      watchCurrency = resolveCurrency(currency);
+    } catch (error) {
+      throw new WatchError(error.message, 400);
+    }
+
+    const now = new Date().toISOString();
+    const watch = {
+      id: crypto.randomUUID(),
+      owner,
+      status: 'active',
+      hotelName,
+      location,
+      checkInDate,
+      checkOutDate,
+      occupancy: normalizeOccupancy(params.occupancy, { travelers: params.travelers }),
+      currency: watchCurrency,
+      source: source || null,
+      threshold: validateThreshold(params.threshold),
+      notify: validateNotifier(optionalObject(params.notify, 'notify')),
+      intervalMinutes,
+      lowestPrice: null,
+      lastPrice: null,
+      priceCurrency: null,
+      checks: 0,
+      lastCheckedAt: null,
+      nextCheckAt: now,
+      lastJobId: null,
+      lastError: null,
+      alerts: [],
+      createdAt: now
+    };
+
+    this.watches.set(watch.id, watch);
+    this.persist(watch);
+    // The first check records the baseline price
+    this.submitCheck(watch);
+    return watch;
+  }
+
+  get(id) {
+    return this.watches.get(id) || null;
+  }
+
+  list({ owner } = {}) {
+    return Array.from(this.watches.values())
+      .filter(watch => owner === undefined || watch.owner === owner)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  async remove(id) {
+    const watch = this.watches.get(id);
+    if (!watch) return false;
+    this.watches.delete(id);
+    const job = watch.lastJobId && this.jobQueue.get(watch.lastJobId);
+    if (job && ['queued', 'running'].includes(job.status)) this.jobQueue.cancel(job.id);
+    await this.saving;
+    await this.store.remove([id]);
+    return true;
+  }
+
+  // Queues a check unless one is already waiting or running
+  submitCheck(watch) {
+    const current = watch.lastJobId && this.jobQueue.get(watch.lastJobId);
+    if (current && ['queued', 'running'].includes(current.status)) return current;
+
+    const job = this.jobQueue.submit('watch-check', { watchId: watch.id }, { owner: watch.owner });
+    watch.lastJobId = job.id;
+    watch.nextCheckAt = new Date(Date.now() + watch.intervalMinutes * 60 * 1000).toISOString();
+    this.persist(watch);
+    return job;
+  }
+
+  tick() {
+    const now = new Date().toISOString();
+    const today = now.slice(0, 10);
+    for (const watch of this.watches.values()) {
+      if (watch.status !== 'active') continue;
+      // Nothing left to watch once the stay has started
+      if (watch.checkInDate < today) {
+        watch.status = 'expired';
+        this.persist(watch);
+        continue;
+      }
+      if (watch.nextCheckAt > now) continue;
+      // Runs from a timer, so a failed submit is recorded instead of thrown.
+      // The watch is tried again on the next tick.
+      try {
+        this.submitCheck(watch);
+      } catch (error) {
+        console.error(`Could not check watch ${watch.id}:`, error.message);
+        watch.lastError = error.message;
+        this.persist(watch);
+      }
+    }
+  }
+
+  // Job handler for "watch-check". scrape(params, run) resolves with price
+  // listings in the /api/hotel-prices shape.
+  async check(watchId, scrape, run = {}) {
+    const watch = this.watches.get(watchId);
+    if (!watch) {
+      throw new WatchError(`Watch ${watchId} no longer exists`, 404);
+    }
+
+    let listings;
+    try {
+      listings = await scrape({
+        hotelName: watch.hotelName,
+        location: watch.location,
+        checkInDate: watch.checkInDate,
+        checkOutDate: watch.checkOutDate,
+        // Watches created before occupancy was tracked were for two adults
+        occupancy: watch.occupancy || undefined,
+        currency: watch.currency || undefined,
+        source: watch.source || undefined
+      }, run);
+    } catch (error) {
+      watch.lastError = error.message;
+      watch.lastCheckedAt = new Date().toISOString();
+      this.persist(watch);
+      throw error;
+    }
+
+    const offer = lowestOffer(listings);
+    watch.checks += 1;
+    watch.lastCheckedAt = new Date().toISOString();
+
+    if (!offer) {
+      watch.lastError = 'No priced offers found';
+      this.persist(watch);
+      return { watchId, price: null, lowestPrice: watch.lowestPrice, alerted: false, occupancy: run.occupancy };
+    }
+
+    const previousLowest = watch.lowestPrice;
+    const reason = crossed(watch.threshold, previousLowest, offer.amount);
+    watch.lastError = null;
+    watch.lastPrice = offer.amount;
+    watch.priceCurrency = offer.currency;
+    watch.lowestPrice = previousLowest === null ? offer.amount : Math.min(previousLowest, offer.amount);
+
+    let alert = null;
+    if (reason) {
+      if (run.progress) run.progress(90, 'Sending price alert', 'notify');
+      alert = await this.alert(watch, offer, previousLowest, reason);
+    }
+
+    this.persist(watch);
+    return {
+      watchId,
+      price: offer.amount,
+      currency: offer.currency,
+      lowestPrice: watch.lowestPrice,
+      alerted: Boolean(alert),
+      alert,
+      occupancy: run.occupancy
+    };
+  }
+
+  async alert(watch, offer, previousLowest, reason) {
+    const price = `${offer.currency ? `${offer.currency} ` : ''}${offer.amount}`;
+    const message = {
+      event: 'watch.price_drop',
+      subject: `Price drop: ${watch.hotelName} ${watch.checkInDate} to ${watch.checkOutDate} now ${price}`,
+      text: [
+        `${watch.hotelName} (${watch.location}) for ${watch.checkInDate} to ${watch.checkOutDate}` +
+          (watch.occupancy ? `, ${describeOccupancy(watch.occupancy)}` : ''),
+        `is now ${price}, ${reason}.`,
+        offer.provider ? `Cheapest offer: ${offer.provider}${offer.room ? `, ${offer.room}` : ''}` : null,
+        offer.url ? `Book: ${offer.url}` : null
+      ].filter(Boolean).join('\n'),
+      payload: {
+        watch: {
+          id: watch.id,
+          hotelName: watch.hotelName,
+          location: watch.location,
+          checkInDate: watch.checkInDate,
+          checkOutDate: watch.checkOutDate,
+          occupancy: watch.occupancy || null,
+          threshold: watch.threshold
+        },
+        price: offer.amount,
+        currency: offer.currency,
+        previousLowest,
+        reason,
+        offer
+      }
+    };
+
+    const result = await notify(watch.notify, message);
+    const alert = {
+      at: new Date().toISOString(),
+      price: offer.amount,
+      currency: offer.currency,
+      previousLowest,
+      reason,
+      notifier: watch.notify.type,
+      delivered: result.delivered,
+      error: result.error || null
+    };
+    watch.alerts.push(alert);
+    if (watch.alerts.length > this.maxAlerts) watch.alerts.shift();
+
+    if (!result.delivered) {
+      console.error(`Price alert for watch ${watch.id} was not delivered: ${result.error}`);
+    }
+    return alert;
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.saving;
+  }
+}
+
+module.exports = {
+  WatchError,
+  WatchlistService,
+  lowestOffer,
+  crossed,
+  validateThreshold
+};
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { FINISHED } = require('./jobs');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class WebhookError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Hosts callbacks may reach even though they resolve to a private address,
+// e.g. WEBHOOK_ALLOWED_HOSTS=localhost,127.0.0.1 for a receiver in development
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isAllowedHost(hostname) {
+  return allowedHosts().includes(hostname.toLowerCase().replace(/^\[|\]$/g, ''));
+}
+
+// The eight 16-bit groups of an IPv6 address, with "::" expanded and a
+// trailing dotted IPv4 part (::ffff:10.0.0.1) turned into two groups
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...zeros, ...right].map(group => parseInt(group, 16));
+}
+
+function ipv4From(high, low) {
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+// Loopback, private, carrier-grade NAT, link-local (which includes the cloud
+// metadata endpoint 169.254.169.254), unique-local and unspecified addresses.
+// IPv6 forms that carry an IPv4 address (mapped, IPv4-compatible, NAT64 and
+// 6to4) are judged by the address they carry.
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (family === 6) {
+    const groups = ipv6Groups(address);
+    const zeroUntil = end => groups.slice(0, end).every(group => group === 0);
+    // ::, ::1 and IPv4-compatible ::a.b.c.d
+    if (zeroUntil(6)) return groups[6] === 0 || isPrivateAddress(ipv4From(groups[6], groups[7]));
+    // IPv4-mapped ::ffff:a.b.c.d
+    if (zeroUntil(5) && groups[5] === 0xffff) return isPrivateAddress(ipv4From(groups[6], groups[7]));
+    // NAT64: the well-known 64:ff9b::/96, and 64:ff9b:1::/48 which is only
+    // ever used inside a network
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+      if (groups[2] === 1) return true;
+      if (groups.slice(2, 6).every(group => group === 0)) return isPrivateAddress(ipv4From(groups[6], groups[7]));
+    }
+    // 6to4: 2002:AABB:CCDD::/48 carries AA.BB.CC.DD
+    if (groups[0] === 0x2002) return isPrivateAddress(ipv4From(groups[1], groups[2]));
+    return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80;
+  }
+  return false;
+}
+
+// Literal addresses and localhost names are refused up front; names are
+// resolved again on every delivery (see guardedLookup)
+function checkCallbackHost(url) {
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (isAllowedHost(hostname)) return;
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+    throw new WebhookError('callbackUrl must not point at a loopback, private or link-local address', 400);
+  }
+}
+
+// dns.lookup that fails when the name resolves to a private address, so a
+// public name cannot be pointed at the internal network after validation
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || isAllowedHost(hostname)) return callback(error, address, family);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new WebhookError(`${hostname} resolves to a private address (${blocked})`, 400));
+    }
+    callback(null, address, family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: guardedLookup }),
+  'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+// POST to a callback or notifier URL. Redirects are not followed, since a
+// redirect to an address literal would skip the lookup check.
+function postCallback(value, options) {
+  const url = new URL(value);
+  checkCallbackHost(url);
+  return fetch(url.toString(), {
+    ...options,
+    method: 'POST',
+    redirect: 'manual',
+    agent: agents[url.protocol]
+  });
+}
+
+// Checks a client supplied callback URL before a job is accepted
+function validateCallbackUrl(value) {
+  if (!value) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new WebhookError(`Invalid callbackUrl "${value}"`, 400);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new WebhookError('callbackUrl must be an http or https URL', 400);
+  }
+  checkCallbackHost(url);
+  if (!process.env.WEBHOOK_SECRET) {
+    throw new WebhookError('Webhook callbacks require WEBHOOK_SECRET to be set', 503);
+  }
+  return url.toString();
+}
+
+// Signature receivers recompute to verify a delivery:
+// hex HMAC-SHA256 of "<timestamp>.<raw body>" with the shared secret
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POSTs the outcome of finished jobs to their callbackUrl. Failed deliveries
+// (network errors and non-2xx responses) are retried with exponential backoff
+// up to maxAttempts. Every attempt is appended to job.deliveries, which is
+// persisted with the job, and job.webhook tracks the overall state.
+class WebhookDispatcher {
+  constructor(jobQueue, options = {}) {
+    this.jobQueue = jobQueue;
+    this.maxAttempts = options.maxAttempts || envInt('WEBHOOK_MAX_ATTEMPTS', 6);
+    this.baseDelay = options.baseDelay || envInt('WEBHOOK_RETRY_BASE_MS', 2000);
+    this.maxDelay = options.maxDelay || envInt('WEBHOOK_RETRY_MAX_MS', 5 * 60 * 1000);
+    this.timeout = options.timeout || envInt('WEBHOOK_TIMEOUT_MS', 10000);
+    this.timers = new Map();
+
+    jobQueue.on('finished', job => {
+      if (job.callbackUrl) this.begin(job);
+    });
+  }
+
+  // Marks the delivery pending and saves that before the first attempt, so a
+  // restart in between still finds it
+  begin(job) {
+    job.webhook = { url: job.callbackUrl, state: 'pending', attempts: 0, nextAttemptAt: null };
+    job.deliveries = [];
+    this.jobQueue.persist(job);
+    this.schedule(job, 0);
+  }
+
+  // Picks up deliveries that were still pending when the server stopped,
+  // including finished jobs whose pending state never got saved
+  resume() {
+    for (const job of this.jobQueue.jobs.values()) {
+      if (job.webhook && job.webhook.state === 'pending') {
+        this.schedule(job, 0);
+      } else if (!job.webhook && job.callbackUrl && FINISHED.includes(job.status)) {
+        this.begin(job);
+      }
+    }
+  }
+
+  schedule(job, delay) {
+    clearTimeout(this.timers.get(job.id));
+    job.webhook.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      this.attempt(job).catch(error => {
+        console.error(`Webhook delivery for job ${job.id} crashed:`, error);
+      });
+    }, delay);
+    timer.unref();
+    this.timers.set(job.id, timer);
+  }
+
+  payload(job) {
+    return {
+      event: `job.${job.status}`,
+      job: {
+        id: job.id,
+        type: job.type,
+        params: job.params,
+        status: job.status,
+        result: job.result,
+        error: job.error,
+        selectors: job.selectors,
+        occupancy: job.occupancy,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+      }
+    };
+  }
+
+  async attempt(job) {
+    const secret = process.env.WEBHOOK_SECRET || '';
+    const payload = this.payload(job);
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = job.webhook.attempts + 1;
+    const delivery = {
+      id: crypto.randomUUID(),
+      attempt,
+      event: payload.event,
+      url: job.webhook.url,
+      status: 'failed',
+      statusCode: null,
+      error: null,
+      durationMs: 0,
+      attemptedAt: new Date().toISOString()
+    };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const started = Date.now();
+
+    try {
+      const response = await postCallback(job.webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'hotel-scraper-api-webhooks',
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(secret, timestamp, body)}`
+        },
+        body,
+        signal: controller.signal
+      });
+      delivery.statusCode = response.status;
+      if (response.ok) {
+        delivery.status = 'succeeded';
+      } else {
+        delivery.error = `Receiver responded with ${response.status}`;
+      }
+    } catch (error) {
+      delivery.error = error.name === 'AbortError' ? `Timed out after ${this.timeout}ms` : error.message;
+    } finally {
+      clearTimeout(timer);
+      delivery.durationMs = Date.now() - started;
+    }
+
+    job.webhook.attempts = attempt;
+    job.deliveries.push(delivery);
+
+    if (delivery.status === 'succeeded') {
+      job.webhook.state = 'delivered';
+      job.webhook.nextAttemptAt = null;
+      console.log(`Delivered ${payload.event} for job ${job.id} to ${job.webhook.url}`);
+    } else if (attempt >= this.maxAttempts) {
+      job.webhook.state = 'failed';
+      job.webhook.nextAttemptAt = null;
+      console.error(`Giving up on webhook for job ${job.id} after ${attempt} attempts: ${delivery.error}`);
+    } else {
+      const delay = Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+      console.log(`Webhook for job ${job.id} failed (${delivery.error}), retrying in ${delay}ms`);
+      this.schedule(job, delay);
+    }
+
+    this.jobQueue.persist(job);
+  }
+
+  close() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  WebhookError,
+  WebhookDispatcher,
+  validateCallbackUrl,
+  isPrivateAddress,
+  postCallback,
+  sign
+};
@@ -0,0 +1,150 @@
+// Client-side behaviour for the mock Google pages: submitting the search box,
+// the guest-count menu, the travelers dialog, the results filters panel, the
+// entity page tabs and the "More reviews" button.
+(function () {
+  const searchBox = document.querySelector('textarea[name="q"]');
+  if (searchBox) {
+    searchBox.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        searchBox.form.submit();
+      }
+    });
+  }
+
+  const guestPicker = document.querySelector('div[jsname="FtsEs"]');
+  const guestMenu = document.querySelector('ul[jsname="xl07Ob"]');
+  const results = document.querySelector('[data-results]');
+  if (guestPicker && guestMenu) {
+    guestPicker.addEventListener('click', () => {
+      guestMenu.hidden = false;
+    });
+    guestMenu.querySelectorAll('li[role="menuitemradio"]').forEach((option) => {
+      option.addEventListener('click', () => {
+        guestMenu.querySelectorAll('li').forEach(item => item.setAttribute('aria-checked', 'false'));
+        option.setAttribute('aria-checked', 'true');
+        guestPicker.querySelector('[data-guest-label]').textContent = option.textContent;
+        guestMenu.hidden = true;
+        if (results) results.hidden = false;
+      });
+    });
+    // Results show up on their own after a moment, like the real page
+    setTimeout(() => {
+      if (results) results.hidden = false;
+    }, 1500);
+  }
+
+  // Travelers dialog on Google Travel pages. Done reloads the page with the
+  // counts in the URL, which is where the real page keeps them too.
+  const travelers = document.querySelector('[data-travelers]');
+  if (travelers) {
+    const limits = { adults: [1, 9], children: [0, 6] };
+    const dialog = travelers.querySelector('[data-travelers-dialog]');
+    const ages = travelers.querySelector('[data-child-ages]');
+    const countOf = field => parseInt(travelers.querySelector(`[data-count="${field}"]`).textContent, 10);
+
+    const ageSelect = (index) => {
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Age of child ${index + 1}`);
+      for (let age = 0; age <= 17; age++) {
+        const option = document.createElement('option');
+        option.value = String(age);
+        option.textContent = age === 0 ? 'Under 1' : String(age);
+        select.appendChild(option);
+      }
+      return select;
+    };
+
+    const refresh = () => {
+      travelers.querySelectorAll('[data-step]').forEach((button) => {
+        const [min, max] = limits[button.dataset.step];
+        const value = countOf(button.dataset.step);
+        button.disabled = button.dataset.delta === '-1' ? value <= min : value >= max;
+      });
+      const wanted = countOf('children');
+      while (ages.children.length < wanted) ages.appendChild(ageSelect(ages.children.length));
+      while (ages.children.length > wanted) ages.lastElementChild.remove();
+    };
+
+    travelers.querySelector('[data-travelers-picker]').addEventListener('click', () => {
+      dialog.hidden = false;
+    });
+    travelers.querySelectorAll('[data-step]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const count = travelers.querySelector(`[data-count="${button.dataset.step}"]`);
+        count.textContent = String(countOf(button.dataset.step) + parseInt(button.dataset.delta, 10));
+        refresh();
+      });
+    });
+    travelers.querySelector('[data-travelers-done]').addEventListener('click', () => {
+      const url = new URL(window.location.href);
+      url.searchParams.set('adults', String(countOf('adults')));
+      const childAges = Array.from(ages.querySelectorAll('select')).map(select => select.value);
+      if (childAges.length > 0) url.searchParams.set('children', childAges.join(','));
+      else url.searchParams.delete('children');
+      window.location.assign(url.toString());
+    });
+    refresh();
+  }
+
+  // "All filters" panel on Google Travel results. Price sliders move in steps
+  // of 25 with the arrow, Home and End keys; Close reloads the first results
+  // page with the filters in the URL.
+  const filters = document.querySelector('[data-filters]');
+  if (filters) {
+    const dialog = filters.querySelector('[data-filters-dialog]');
+    filters.querySelector('[data-filters-open]').addEventListener('click', () => {
+      dialog.hidden = false;
+    });
+    filters.querySelectorAll('[role="checkbox"]').forEach((box) => {
+      box.addEventListener('click', () => {
+        box.setAttribute('aria-checked', String(box.getAttribute('aria-checked') !== 'true'));
+      });
+    });
+    filters.querySelectorAll('[role="slider"]').forEach((slider) => {
+      slider.addEventListener('keydown', (event) => {
+        const min = Number(slider.getAttribute('aria-valuemin'));
+        const max = Number(slider.getAttribute('aria-valuemax'));
+        const value = Number(slider.getAttribute('aria-valuenow'));
+        const next = { Home: min, End: max, ArrowLeft: value - 25, ArrowRight: value + 25 }[event.key];
+        if (next === undefined) return;
+        event.preventDefault();
+        slider.setAttribute('aria-valuenow', String(Math.min(max, Math.max(min, next))));
+      });
+    });
+    filters.querySelector('[data-filters-close]').addEventListener('click', () => {
+      const url = new URL(window.location.href);
+      const classes = Array.from(filters.querySelectorAll('[role="checkbox"][aria-checked="true"]'))
+        .map(box => box.dataset.stars);
+      if (classes.length > 0) url.searchParams.set('class', classes.join(','));
+      else url.searchParams.delete('class');
+      filters.querySelectorAll('[role="slider"]').forEach((slider) => {
+        url.searchParams.set(slider.dataset.price, slider.getAttribute('aria-valuenow'));
+      });
+      url.searchParams.delete('page');
+      window.location.assign(url.toString());
+    });
+  }
+
+  // Appends the next batch of reviews from the template, like the real tab
+  const moreReviews = document.querySelector('[data-more-reviews-button]');
+  if (moreReviews) {
+    const pending = document.querySelector('template[data-more-reviews]').content;
+    const list = document.querySelector('[data-review-list]');
+    moreReviews.addEventListener('click', () => {
+      setTimeout(() => {
+        const batch = Array.from(pending.children).slice(0, parseInt(moreReviews.dataset.batch, 10));
+        batch.forEach(card => list.appendChild(card));
+        if (pending.children.length === 0) moreReviews.remove();
+      }, 300);
+    });
+  }
+
+  document.querySelectorAll('[role="tab"][data-panel]').forEach((tab) => {
+    tab.addEventListener('click', () => {
+      document.querySelectorAll('[data-tab-panel]').forEach((panel) => {
+        panel.hidden = panel.id !== tab.dataset.panel;
+      });
+    });
+  });
+})();
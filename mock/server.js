@@ -0,0 +1,290 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+// Offline stand-in for the Google pages the scrapers walk through: the search
+// home page, web results with the guest picker, Google Travel results with the
+// travelers dialog and filters panel, and the hotel entity page with its
+// About/Photos/Prices/Reviews tabs. Point the scrapers at it with
+// GOOGLE_BASE_URL=http://localhost:<port>.
+//
+//   node mock/server.js            listens on MOCK_PORT (default 4010)
+
+const PAGES_DIR = path.join(__dirname, 'pages');
+const hotels = require('./hotels.json');
+const reviewPool = require('./reviews.json');
+
+// 2x2 grey PNG served for every photo and provider logo
+const PLACEHOLDER_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAAAAABX3VL4AAAADklEQVR4nGNoaGBoaAAABgYCASzBUNcAAAAASUVORK5CYII=',
+  'base64'
+);
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Pages are read on every request so a recorded page can be swapped in
+// without restarting. Values wrapped in {{ }} are HTML-escaped unless the key
+// is listed in raw.
+function render(page, values, raw = []) {
+  const template = fs.readFileSync(path.join(PAGES_DIR, page), 'utf8');
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (!(key in values)) return '';
+    return raw.includes(key) ? values[key] : escapeHtml(values[key]);
+  });
+}
+
+// Hotels whose name best matches the query, falling back to a city match and
+// then to every hotel so a page is never empty
+function findHotels(query) {
+  const text = (query || '').toLowerCase();
+  const byName = hotels.filter(hotel =>
+    hotel.name.toLowerCase().split(/\s+/).some(word => word.length > 3 && text.includes(word))
+  );
+  if (byName.length > 0) return byName;
+
+  const byCity = hotels.filter(hotel => text.includes(hotel.city.toLowerCase()));
+  return byCity.length > 0 ? byCity : hotels;
+}
+
+// Result pages hold MOCK_RESULTS_PER_PAGE hotels (default 3) so the
+// scrapers' "Next" handling gets exercised
+function paginate(req, list) {
+  const perPage = parseInt(process.env.MOCK_RESULTS_PER_PAGE, 10) || 3;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const hasNext = page * perPage < list.length;
+  const next = new URLSearchParams({ ...req.query, page: String(page + 1) });
+  return {
+    items: list.slice((page - 1) * perPage, page * perPage),
+    nextUrl: hasNext ? `${req.path}?${next}` : null
+  };
+}
+
+function renderCards(origin, query, list) {
+  return list.map(hotel => render('hotel-card.html', {
+    ...hotel,
+    origin,
+    queryParam: encodeURIComponent(query),
+    amenities: hotel.amenities
+      .map(amenity => `<li class="LtjZ2d sSHqwe ogfYpf QYEgn">${escapeHtml(amenity)}</li>`)
+      .join('')
+  }, ['amenities'])).join('\n');
+}
+
+// Occupancy from the adults and children (comma-separated ages) the
+// travelers dialog puts in the URL; two adults when absent
+function occupancyFrom(req) {
+  const adults = parseInt(req.query.adults, 10) || 2;
+  const children = req.query.children ? String(req.query.children).split(',').map(age => parseInt(age, 10) || 0) : [];
+  return { adults, children };
+}
+
+function renderTravelers({ adults, children }) {
+  const childAges = children.map((age, index) => {
+    const options = Array.from({ length: 18 }, (_, value) =>
+      `<option value="${value}"${value === age ? ' selected' : ''}>${value === 0 ? 'Under 1' : value}</option>`
+    ).join('');
+    return `<select aria-label="Age of child ${index + 1}">${options}</select>`;
+  }).join('');
+  return render('travelers.html', {
+    total: adults + children.length,
+    adults,
+    childCount: children.length,
+    childAges
+  }, ['childAges']);
+}
+
+// Star classes and nightly price range the filters panel puts in the URL.
+// The maximum price slider's top step stands for "no limit".
+const PRICE_LIMIT = 1000;
+
+function filtersFrom(req) {
+  const classes = req.query.class ? String(req.query.class).split(',').map(Number).filter(Boolean) : [];
+  const priceMin = parseInt(req.query.priceMin, 10) || 0;
+  const priceMax = parseInt(req.query.priceMax, 10) || PRICE_LIMIT;
+  return { classes, priceMin, priceMax };
+}
+
+function applyFilters(list, { classes, priceMin, priceMax }) {
+  return list.filter(hotel => {
+    const price = parseFloat(hotel.price.replace(/[^\d.]/g, ''));
+    return (classes.length === 0 || classes.includes(parseInt(hotel.hotelClass, 10))) &&
+      price >= priceMin && (priceMax >= PRICE_LIMIT || price <= priceMax);
+  });
+}
+
+function renderFilters({ classes, priceMin, priceMax }) {
+  const classOptions = [2, 3, 4, 5].map(stars =>
+    `<div role="checkbox" tabindex="0" aria-checked="${classes.includes(stars)}" aria-label="${stars}-star" data-stars="${stars}">${stars}-star</div>`
+  ).join('');
+  return render('filters.html', { priceLimit: PRICE_LIMIT, priceMin, priceMax, classOptions }, ['classOptions']);
+}
+
+// Each adult past two adds 15% to the rate and each child 5%; a single adult
+// pays 10% less
+function occupancyFactor({ adults, children }) {
+  return 1 + (adults - 2) * (adults > 2 ? 0.15 : 0.1) + children.length * 0.05;
+}
+
+// Nightly rates move with the check-in date so flexible-date lookups have
+// something to compare: weekends cost a fifth more, other days wobble a little
+function rateFactor(checkIn) {
+  const date = new Date(`${checkIn}T00:00:00Z`);
+  if (!checkIn || Number.isNaN(date.getTime())) return 1;
+  const weekend = [5, 6].includes(date.getUTCDay()) ? 0.2 : 0;
+  return 1 + weekend + (date.getUTCDate() % 5) * 0.02;
+}
+
+function scalePrice(text, factor) {
+  return text.replace(/\d[\d,.]*/, amount => String(Math.round(parseFloat(amount.replace(/,/g, '')) * factor)));
+}
+
+// Every hotel gets the shared review pool, rotated so each starts elsewhere.
+// Sub-scores sit around the hotel's rating.
+function renderReviews(hotel) {
+  const offset = hotels.indexOf(hotel) * 5;
+  const cards = reviewPool.map((review, index) => render('review.html', {
+    ...reviewPool[(index + offset) % reviewPool.length],
+    reviewId: `${hotel.entityId}-${index}`
+  }));
+
+  const rating = parseFloat(hotel.rating) || 4;
+  const aspects = [['Rooms', -0.2], ['Service', 0.1], ['Location', 0.4]].map(([name, offsetBy]) => {
+    const score = Math.min(5, Math.max(1, rating + offsetBy)).toFixed(1);
+    return `<div class="QB2Jof" role="listitem" aria-label="${name} ${score} out of 5">${name} <span>${score}</span></div>`;
+  }).join('');
+
+  // The first batch is on the page; "More reviews" moves the next one in
+  const perPage = parseInt(process.env.MOCK_REVIEWS_PER_PAGE, 10) || 5;
+  return {
+    aspects,
+    reviewCards: cards.slice(0, perPage).join('\n'),
+    moreReviews: cards.slice(perPage).join('\n'),
+    moreButton: cards.length > perPage ? `<button type="button" data-more-reviews-button data-batch="${perPage}">More reviews</button>` : ''
+  };
+}
+
+function renderEntity(origin, hotel, { checkIn, occupancy = { adults: 2, children: [] } } = {}) {
+  const factor = rateFactor(checkIn) * occupancyFactor(occupancy);
+
+  const photos = [1, 2, 3].map(index =>
+    `<figure data-hotel-feature-id="${index}"><img alt="Photo ${index}" src="${origin}/mock/photos/${hotel.entityId}-${index}.png"><figcaption>${escapeHtml(hotel.name)} photo ${index}</figcaption></figure>`
+  ).join('\n');
+
+  const offers = hotel.offers.map(offer => render('offer.html', {
+    ...offer,
+    basePrice: scalePrice(offer.basePrice, factor),
+    totalPrice: scalePrice(offer.totalPrice, factor),
+    origin,
+    providerSlug: slug(offer.provider),
+    roomSlug: slug(offer.roomType)
+  })).join('\n');
+
+  return render('entity.html', {
+    ...hotel,
+    ...renderReviews(hotel),
+    photos,
+    offers,
+    travelers: renderTravelers(occupancy),
+    aboutAmenities: hotel.amenities.map(amenity => `<li class="IXICF">${escapeHtml(amenity)}</li>`).join('')
+  }, ['photos', 'offers', 'travelers', 'aspects', 'reviewCards', 'moreReviews', 'moreButton', 'aboutAmenities']);
+}
+
+function createMockApp() {
+  const app = express();
+
+  app.use((req, res, next) => {
+    req.origin = `${req.protocol}://${req.get('host')}`;
+    next();
+  });
+
+  app.get('/', (req, res) => {
+    res.type('html').send(render('home.html', {}));
+  });
+
+  app.get('/mock.js', (req, res) => {
+    res.type('application/javascript').sendFile(path.join(PAGES_DIR, 'mock.js'));
+  });
+
+  app.get('/search', (req, res) => {
+    const query = req.query.q || '';
+    const { items, nextUrl } = paginate(req, findHotels(query));
+    res.type('html').send(render('search.html', {
+      query,
+      hotelCards: renderCards(req.origin, query, items),
+      nextPage: nextUrl ? `<a id="pnnext" href="${escapeHtml(nextUrl)}">Next</a>` : ''
+    }, ['hotelCards', 'nextPage']));
+  });
+
+  app.get('/travel/search', (req, res) => {
+    const query = req.query.q || '';
+
+    if (req.query.entity) {
+      const hotel = hotels.find(item => item.entityId === req.query.entity);
+      if (!hotel) return res.status(404).type('html').send('<h1>Not found</h1>');
+      return res.type('html').send(renderEntity(req.origin, hotel, { checkIn: req.query.checkin, occupancy: occupancyFrom(req) }));
+    }
+
+    const filters = filtersFrom(req);
+    const { items, nextUrl } = paginate(req, applyFilters(findHotels(query), filters));
+    res.type('html').send(render('travel-search.html', {
+      query,
+      hotelCards: renderCards(req.origin, query, items),
+      nextPage: nextUrl ? `<a aria-label="Next page" href="${escapeHtml(nextUrl)}">Next</a>` : '',
+      travelers: renderTravelers(occupancyFrom(req)),
+      filters: renderFilters(filters)
+    }, ['hotelCards', 'nextPage', 'travelers', 'filters']));
+  });
+
+  app.get('/travel/hotels/entity/:entityId', (req, res) => {
+    const hotel = hotels.find(item => item.entityId === req.params.entityId);
+    if (!hotel) return res.status(404).type('html').send('<h1>Not found</h1>');
+    res.type('html').send(renderEntity(req.origin, hotel, { checkIn: req.query.checkin, occupancy: occupancyFrom(req) }));
+  });
+
+  app.get('/aclk', (req, res) => {
+    res.type('html').send(`<p>Redirecting to ${escapeHtml(req.query.provider || 'provider')}...</p>`);
+  });
+
+  app.all(['/mock/photos/:file', '/mock/logos/:file'], (req, res) => {
+    res.type('image/png').send(PLACEHOLDER_PNG);
+  });
+
+  return app;
+}
+
+// Starts the mock on the given port (0 picks a free one) and resolves with
+// { url, close }
+function startMockServer(port = 0) {
+  return new Promise((resolve, reject) => {
+    const server = createMockApp().listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockServer(process.env.MOCK_PORT || 4010).then(({ url }) => {
+    console.log(`Mock Google server running at ${url}`);
+  });
+}
+
+module.exports = {
+  createMockApp,
+  startMockServer,
+  hotels
+};
@@ -0,0 +1,93 @@
+// Runs a live scrape against Google Travel and saves the page exactly as the
+// extractor saw it into fixtures/<extractor>/<name>.html, then records the
+// extractor output for that snapshot as <name>.expected.json.
+//
+//   node scripts/capture-fixture.js search paris destination=Paris checkIn=2025-07-01 checkOut=2025-07-03 travelers=2
+//   node scripts/capture-fixture.js info hilton-ny destination="Hilton New York"
+//   node scripts/capture-fixture.js images hilton-ny destination="Hilton New York"
+//   node scripts/capture-fixture.js prices hilton-ny hotelName="Hilton" location="New York"
+//   node scripts/capture-fixture.js reviews hilton-ny hotelName="Hilton" location="New York" limit=20
+//
+// The committed mock-* fixtures come from the mock server (npm run mock):
+//
+//   GOOGLE_BASE_URL=http://127.0.0.1:4010 node scripts/capture-fixture.js info mock-hilton-midtown destination="Hilton New York Midtown"
+const { chromium } = require('playwright');
+const { browserPool } = require('../lib/browserPool');
+const { runSourceOperation } = require('../lib/sources');
+const {
+  snapshotPage,
+  saveSnapshot,
+  runFixture,
+  writeExpected,
+  fixturePaths
+} = require('../lib/extractors/fixtures');
+
+function parseParams(pairs) {
+  const params = {};
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      throw new Error(`Expected key=value, got "${pair}"`);
+    }
+    params[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+  return params;
+}
+
+async function main() {
+  const [operation, name, ...pairs] = process.argv.slice(2);
+  if (!operation || !name) {
+    console.error('Usage: node scripts/capture-fixture.js <search|info|images|prices|reviews> <name> key=value ...');
+    return 1;
+  }
+
+  const params = parseParams(pairs);
+  const captured = [];
+  const run = {
+    capture: async (extractor, page) => {
+      const html = await snapshotPage(page, {
+        extractor,
+        operation,
+        params,
+        url: page.url(),
+        capturedAt: new Date().toISOString()
+      });
+      const paths = saveSnapshot(extractor, name, html);
+      captured.push({ extractor, name, ...paths });
+      console.log('Saved snapshot:', paths.html);
+    }
+  };
+
+  try {
+    await runSourceOperation('google-travel', operation, params, run);
+  } finally {
+    await browserPool.close();
+  }
+
+  if (captured.length === 0) {
+    console.error('The scrape finished without reaching an extractor, nothing was captured');
+    return 1;
+  }
+
+  // Record expectations from the saved snapshot rather than the live run so
+  // they match what the offline check will see
+  const browser = await chromium.launch({ headless: true });
+  try {
+    for (const fixture of captured) {
+      const { output } = await runFixture(browser, fixture);
+      writeExpected(fixture, output);
+      console.log('Saved expected output:', fixturePaths(fixture.extractor, fixture.name).expected);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error('Fixture capture failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,82 @@
+// Runs every extractor against its saved page snapshots and compares the
+// output with the recorded expectations. Works fully offline.
+//
+//   node scripts/check-fixtures.js                 check all fixtures
+//   node scripts/check-fixtures.js prices          only the prices extractor
+//   node scripts/check-fixtures.js about/hilton    a single fixture
+//   node scripts/check-fixtures.js --update        rewrite *.expected.json
+//
+// A snapshot without its .expected.json fails the check; record it with
+// --update after reviewing the output.
+const { chromium } = require('playwright');
+const {
+  listFixtures,
+  runFixture,
+  readExpected,
+  writeExpected,
+  diffJson
+} = require('../lib/extractors/fixtures');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const filter = args.find(arg => !arg.startsWith('--'));
+
+  const fixtures = listFixtures(filter);
+  if (fixtures.length === 0) {
+    console.log(`No fixtures found${filter ? ` for "${filter}"` : ''}. Capture one with scripts/capture-fixture.js`);
+    return 1;
+  }
+
+  const browser = await chromium.launch({ headless: true });
+  let failures = 0;
+
+  try {
+    for (const fixture of fixtures) {
+      const label = `${fixture.extractor}/${fixture.name}`;
+      const { output, selectors } = await runFixture(browser, fixture);
+      const expected = readExpected(fixture);
+
+      if (update) {
+        writeExpected(fixture, output);
+        console.log(`UPDATED ${label}`);
+        continue;
+      }
+
+      if (expected === undefined) {
+        failures++;
+        console.log(`MISSING ${label}`);
+        console.log(`        no ${fixture.name}.expected.json; run with --update to record it`);
+        continue;
+      }
+
+      const differences = diffJson(expected, output);
+      if (differences.length === 0) {
+        console.log(`PASS    ${label}`);
+        continue;
+      }
+
+      failures++;
+      console.log(`FAIL    ${label}`);
+      differences.slice(0, 20).forEach(line => console.log(`        ${line}`));
+      if (differences.length > 20) {
+        console.log(`        ...and ${differences.length - 20} more`);
+      }
+      if (selectors && Object.keys(selectors.missing).length > 0) {
+        console.log(`        unmatched selector fields: ${Object.keys(selectors.missing).join(', ')}`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  console.log(`\n${fixtures.length - failures}/${fixtures.length} fixtures passed`);
+  return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error('Fixture check failed:', error);
+  process.exitCode = 1;
+});
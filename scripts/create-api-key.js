@@ -0,0 +1,64 @@
+// Creates an API key and adds its hash to the keys file (API_KEYS_FILE,
+// default data/api-keys.json). The key itself is printed once and not stored.
+//
+//   node scripts/create-api-key.js frontend scrape
+//   node scripts/create-api-key.js ops admin --per-minute 120 --max-concurrent 4
+//   node scripts/create-api-key.js dashboard read --capacity 30
+const fs = require('fs');
+const path = require('path');
+const { SCOPES, KEYS_FILE, hashKey, generateKey } = require('../lib/auth');
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`--${name} needs a positive number`);
+  }
+  return value;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const [id, scope] = args.filter((arg, index) => !arg.startsWith('--') && !(args[index - 1] || '').startsWith('--'));
+
+  if (!id || !SCOPES.includes(scope)) {
+    console.log(`Usage: node scripts/create-api-key.js <id> <${SCOPES.join('|')}> [--capacity N] [--per-minute N] [--max-concurrent N]`);
+    return 1;
+  }
+
+  const file = fs.existsSync(KEYS_FILE) ? JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8')) : { keys: [] };
+  if (file.keys.some(entry => entry.id === id)) {
+    console.log(`A key with id "${id}" already exists in ${KEYS_FILE}`);
+    return 1;
+  }
+
+  const key = generateKey();
+  const entry = { id, hash: hashKey(key), scopes: [scope], createdAt: new Date().toISOString() };
+
+  const rateLimit = {};
+  const capacity = option(args, 'capacity');
+  const perMinute = option(args, 'per-minute');
+  if (capacity) rateLimit.capacity = capacity;
+  if (perMinute) rateLimit.perMinute = perMinute;
+  if (Object.keys(rateLimit).length > 0) entry.rateLimit = rateLimit;
+
+  const maxConcurrent = option(args, 'max-concurrent');
+  if (maxConcurrent) entry.maxConcurrent = maxConcurrent;
+
+  file.keys.push(entry);
+  fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+  fs.writeFileSync(KEYS_FILE, `${JSON.stringify(file, null, 2)}\n`);
+
+  console.log(`Created ${scope} key "${id}" in ${KEYS_FILE}`);
+  console.log(`API key (shown once): ${key}`);
+  console.log('Restart the server to load it.');
+  return 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error('Could not create API key:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,149 @@
+// Walks every scraper flow end to end against the bundled mock Google server
+// (mock/server.js): typed search with the guest picker, travel results, and the
+// entity page's About/Photos/Prices/Reviews tabs. Works fully offline.
+//
+//   node scripts/e2e-mock.js                 run every flow
+//   node scripts/e2e-mock.js prices          only flows whose name matches
+const { startMockServer, hotels } = require('../mock/server');
+
+const [hotel] = hotels;
+
+// Each flow runs one source operation and checks the normalized result (and
+// the run, for what the scraper recorded on it)
+const FLOWS = [
+  {
+    name: 'search (web)',
+    operation: 'search',
+    params: { destination: hotel.city, checkIn: '2025-07-01', checkOut: '2025-07-03', travelers: 2 },
+    check: result => Array.isArray(result) && result.some(item => item.name === hotel.name)
+  },
+  {
+    name: 'search (travel)',
+    operation: 'search',
+    params: { destination: hotel.city, mode: 'travel' },
+    check: result => Array.isArray(result) && result.some(item => item.name === hotel.name)
+  },
+  {
+    name: 'search (travel, paged)',
+    operation: 'search',
+    // Matches no city, so the mock lists every hotel over two pages
+    params: { destination: 'Anywhere', mode: 'travel', minResults: 100 },
+    check: result => Array.isArray(result) && result.length === hotels.length
+  },
+  {
+    name: 'search (travel, filters)',
+    operation: 'search',
+    // Only the 4-star Tokyo hotel fits; the mock leaves the others off the
+    // page, so they only go missing if the filters panel took the filters
+    params: { destination: 'Anywhere', mode: 'travel', hotelClass: [4], priceMax: 200 },
+    check: result => Array.isArray(result) && result.length === 1 && result[0].name === hotels.find(item => item.city === 'Tokyo').name
+  },
+  {
+    name: 'info',
+    operation: 'info',
+    params: { destination: hotel.name },
+    check: result => Boolean(result) && result.address === hotel.address &&
+      result.amenities.length === hotel.amenities.length && result.amenityCodes.length > 0
+  },
+  {
+    name: 'images',
+    operation: 'images',
+    params: { destination: hotel.name },
+    check: result => Array.isArray(result) && result.length > 0
+  },
+  {
+    name: 'prices',
+    operation: 'prices',
+    params: { hotelName: hotel.name, location: hotel.city },
+    check: result => Array.isArray(result) &&
+      result.length === new Set(hotel.offers.map(offer => offer.provider)).size &&
+      result.every(listing => listing.provider !== 'Unknown Provider' && listing.rooms.length > 0)
+  },
+  {
+    name: 'prices (occupancy)',
+    operation: 'prices',
+    params: { hotelName: hotel.name, location: hotel.city, occupancy: { rooms: 1, adults: 3, children: [6] } },
+    check: (result, run) => Array.isArray(result) && result.length > 0 && run.occupancy.applied
+  },
+  {
+    name: 'search (travel, occupancy)',
+    operation: 'search',
+    params: { destination: hotel.city, mode: 'travel', occupancy: { rooms: 2, adults: 2, children: [] } },
+    // Google prices a single room, so rooms is reported back as not applied
+    check: (result, run) => Array.isArray(result) && result.length > 0 &&
+      !run.occupancy.applied && run.occupancy.unapplied.join() === 'rooms'
+  },
+  {
+    name: 'price calendar',
+    operation: 'priceCalendar',
+    params: {
+      hotelName: hotel.name,
+      location: hotel.city,
+      stays: [
+        { checkIn: '2025-07-03', checkOut: '2025-07-05', nights: 2 },
+        { checkIn: '2025-07-04', checkOut: '2025-07-06', nights: 2 }
+      ]
+    },
+    check: result => Array.isArray(result) && result.length === 2 &&
+      result.every(stay => stay.listings.length > 0) &&
+      result[0].listings[0].rooms[0].totalPrice.amount !== result[1].listings[0].rooms[0].totalPrice.amount
+  },
+  {
+    name: 'reviews',
+    operation: 'reviews',
+    // More than the first batch, so "More reviews" gets pressed
+    params: { hotelName: hotel.name, location: hotel.city, limit: 8 },
+    check: result => Boolean(result) && result.reviews.length === 8 &&
+      result.aspects.length === 3 && result.reviews.every(review => review.score !== null && review.postedOn)
+  }
+];
+
+async function main() {
+  const filter = process.argv[2];
+  const flows = FLOWS.filter(flow => !filter || flow.name.includes(filter));
+
+  const mock = await startMockServer(0);
+  process.env.GOOGLE_BASE_URL = mock.url;
+  console.log(`Mock Google server running at ${mock.url}`);
+
+  // Required after GOOGLE_BASE_URL is set so nothing can reach real Google
+  const { runSourceOperation } = require('../lib/sources');
+  const { browserPool } = require('../lib/browserPool');
+  let failures = 0;
+
+  try {
+    for (const flow of flows) {
+      const run = {};
+      try {
+        const result = await runSourceOperation('google-travel', flow.operation, flow.params, run);
+        if (flow.check(result, run)) {
+          console.log(`PASS    ${flow.name}`);
+          continue;
+        }
+        failures++;
+        console.log(`FAIL    ${flow.name}`);
+        console.log(`        got ${JSON.stringify(result).slice(0, 500)}`);
+      } catch (error) {
+        failures++;
+        console.log(`FAIL    ${flow.name}`);
+        console.log(`        ${error.message}`);
+      }
+      if (run.selectors && Object.keys(run.selectors.missing).length > 0) {
+        console.log(`        unmatched selector fields: ${Object.keys(run.selectors.missing).join(', ')}`);
+      }
+    }
+  } finally {
+    await browserPool.close();
+    await mock.close();
+  }
+
+  console.log(`\n${flows.length - failures}/${flows.length} flows passed`);
+  return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error('End-to-end check failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,28 @@
+// Applies pending schema migrations for the configured storage backend
+// (STORAGE_BACKEND). The file backend migrates in place; the Supabase schema is
+// managed by the SQL files in supabase/migrations.
+//
+//   STORAGE_BACKEND=file STORAGE_DIR=/tmp/hotels-db node scripts/migrate.js
+const { createStorage } = require('../lib/storage');
+
+async function main() {
+  const storage = createStorage();
+
+  if (storage.name === 'supabase') {
+    console.log('Supabase migrations live in supabase/migrations, apply them with: supabase db push');
+    return 0;
+  }
+
+  const applied = await storage.migrate();
+  console.log(applied.length > 0
+    ? `Applied ${applied.length} migration(s) to ${storage.description}: ${applied.join(', ')}`
+    : `${storage.description} is up to date`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,21 @@
+-- Baseline for daily_hotel_deals as it existed before migrations were tracked,
+-- so a fresh project can be built from supabase/migrations alone.
+
+create table if not exists daily_hotel_deals (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  price text,
+  rating text,
+  reviews text,
+  deal text,
+  url text,
+  image text,
+  location text,
+  amenities text[],
+  description text,
+  destination text,
+  check_in_date date,
+  check_out_date date,
+  travelers integer,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,21 @@
+-- Typed review metrics for daily_hotel_deals. rating was stored as text, so
+-- ordering by it was lexicographic; it becomes numeric (5-point scale) with the
+-- scraped string kept in rating_text, and review_count / hotel_class are added
+-- next to the original reviews string.
+
+alter table daily_hotel_deals add column if not exists rating_text text;
+update daily_hotel_deals set rating_text = rating::text where rating_text is null;
+
+alter table daily_hotel_deals
+  alter column rating type numeric(3, 1)
+  using substring(replace(rating::text, ',', '.') from '\d+(?:\.\d+)?')::numeric;
+
+alter table daily_hotel_deals add column if not exists review_count integer;
+update daily_hotel_deals
+  set review_count = nullif(regexp_replace(reviews, '[^0-9]', '', 'g'), '')::integer
+  where review_count is null and reviews !~* '[km]';
+
+alter table daily_hotel_deals add column if not exists hotel_class numeric(2, 1);
+
+create index if not exists daily_hotel_deals_rating_idx
+  on daily_hotel_deals (rating desc nulls last, review_count desc nulls last);
@@ -0,0 +1,21 @@
+-- Repositories for hotels and background jobs. Jobs used to live in
+-- data/jobs.json; the full job document is kept in data, with the columns
+-- needed for listing and pruning pulled out next to it.
+
+create table if not exists hotels (
+  id text primary key,
+  name text not null,
+  location text,
+  data jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists scrape_jobs (
+  id text primary key,
+  type text not null,
+  status text not null,
+  created_at timestamptz not null,
+  data jsonb not null
+);
+
+create index if not exists scrape_jobs_status_idx on scrape_jobs (status, created_at);
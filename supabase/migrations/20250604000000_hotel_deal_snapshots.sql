@@ -0,0 +1,38 @@
+-- daily_hotel_deals becomes an append-only log of price snapshots: every scrape
+-- inserts its rows under a new scrape_id instead of wiping the table. Each row
+-- is keyed by hotel_id, destination and stay dates, with created_at as the
+-- snapshot time. current_hotel_deals shows the latest scrape per destination.
+
+alter table daily_hotel_deals add column if not exists hotel_id text;
+alter table daily_hotel_deals add column if not exists scrape_id text;
+alter table daily_hotel_deals add column if not exists price_amount numeric(12, 2);
+alter table daily_hotel_deals add column if not exists price_currency text;
+
+-- Rows saved before snapshots were kept all came from one replaced batch
+update daily_hotel_deals set scrape_id = 'legacy' where scrape_id is null;
+update daily_hotel_deals
+  set hotel_id = trim(both '-' from regexp_replace(lower(coalesce(destination, '')), '[^a-z0-9]+', '-', 'g'))
+    || '--' || trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'))
+  where hotel_id is null and destination is not null;
+update daily_hotel_deals
+  set hotel_id = trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'))
+  where hotel_id is null;
+update daily_hotel_deals
+  set price_amount = nullif(regexp_replace(price, '[^0-9.]', '', 'g'), '')::numeric
+  where price_amount is null and price ~ '[0-9]';
+
+create index if not exists daily_hotel_deals_history_idx
+  on daily_hotel_deals (hotel_id, destination, check_in_date, check_out_date, created_at);
+create index if not exists daily_hotel_deals_latest_idx
+  on daily_hotel_deals (destination, created_at desc);
+
+create or replace view current_hotel_deals as
+select deals.*
+from daily_hotel_deals deals
+join (
+  select distinct on (destination) destination, scrape_id
+  from daily_hotel_deals
+  order by destination, created_at desc
+) latest
+  on latest.destination is not distinct from deals.destination
+  and latest.scrape_id = deals.scrape_id;
@@ -0,0 +1,17 @@
+-- Canonical hotel records. A hotel is keyed by Google's entity id (the
+-- /entity/Ch... path segment) when the page exposes it, otherwise by a
+-- destination + name slug. Every name and id a property has been seen under is
+-- kept so deal snapshots saved under an older id still resolve to it.
+
+alter table hotels add column if not exists entity_id text;
+alter table hotels add column if not exists names text[] not null default '{}';
+alter table hotels add column if not exists aliases text[] not null default '{}';
+alter table hotels add column if not exists destination text;
+alter table hotels add column if not exists address text;
+alter table hotels add column if not exists first_seen timestamptz;
+alter table hotels add column if not exists last_seen timestamptz;
+alter table hotels add column if not exists observations integer not null default 0;
+
+create unique index if not exists hotels_entity_id_idx on hotels (entity_id) where entity_id is not null;
+create index if not exists hotels_aliases_idx on hotels using gin (aliases);
+create index if not exists hotels_destination_idx on hotels (destination);
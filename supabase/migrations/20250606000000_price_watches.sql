@@ -0,0 +1,13 @@
+-- Price watches: a hotel, location and stay that is re-scraped on an interval
+-- and compared with the lowest price seen so far. The full watch (threshold,
+-- notifier settings, alert log) lives in data.
+
+create table if not exists price_watches (
+  id text primary key,
+  owner text,
+  status text not null,
+  created_at timestamptz not null,
+  data jsonb not null
+);
+
+create index if not exists price_watches_owner_idx on price_watches (owner, created_at desc);
@@ -0,0 +1,9 @@
+-- State of the in-process scheduler: rotation cursor, paused flag and the
+-- last/next run of every target, so schedules pick up where they left off
+-- after a restart. Cron expressions and targets come from the server config.
+
+create table if not exists schedules (
+  id text primary key,
+  updated_at timestamptz not null default now(),
+  data jsonb not null
+);
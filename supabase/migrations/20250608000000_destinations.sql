@@ -0,0 +1,29 @@
+-- Destination catalog for the popular-cities scraper and scheduler, replacing
+-- the POPULAR_CITIES constant. Seeded with the ten original cities; currency
+-- and locale stay null so they are scraped as before until set.
+
+create table if not exists destinations (
+  id text primary key,
+  name text not null,
+  query text not null,
+  country char(2),
+  currency char(3),
+  locale text,
+  priority integer not null default 0,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into destinations (id, name, query, country) values
+  ('new-york', 'New York', 'New York', 'US'),
+  ('london', 'London', 'London', 'GB'),
+  ('paris', 'Paris', 'Paris', 'FR'),
+  ('tokyo', 'Tokyo', 'Tokyo', 'JP'),
+  ('rome', 'Rome', 'Rome', 'IT'),
+  ('barcelona', 'Barcelona', 'Barcelona', 'ES'),
+  ('amsterdam', 'Amsterdam', 'Amsterdam', 'NL'),
+  ('dubai', 'Dubai', 'Dubai', 'AE'),
+  ('singapore', 'Singapore', 'Singapore', 'SG'),
+  ('sydney', 'Sydney', 'Sydney', 'AU')
+on conflict (id) do nothing;
@@ -0,0 +1,22 @@
+-- Deals record who the price was for: rooms, adults and children's ages.
+-- travelers stays as the total head count. Rows saved before occupancy was
+-- tracked were searched as that many adults in one room.
+
+alter table daily_hotel_deals add column if not exists occupancy jsonb;
+
+update daily_hotel_deals
+  set occupancy = jsonb_build_object('rooms', 1, 'adults', travelers, 'children', '[]'::jsonb)
+  where occupancy is null and travelers is not null;
+
+-- deals.* was expanded when the view was created; recreate it to pick up the
+-- new column
+create or replace view current_hotel_deals as
+select deals.*
+from daily_hotel_deals deals
+join (
+  select distinct on (destination) destination, scrape_id
+  from daily_hotel_deals
+  order by destination, created_at desc
+) latest
+  on latest.destination is not distinct from deals.destination
+  and latest.scrape_id = deals.scrape_id;
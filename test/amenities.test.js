@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAmenity, amenityCodes, isAmenityCode, hasAmenity, listAmenities } = require('../lib/amenities');
+
+test('normalizeAmenity maps free and paid variants onto separate codes', () => {
+  assert.equal(normalizeAmenity('Free Wi-Fi').code, 'wifi_free');
+  assert.equal(normalizeAmenity('Wi-Fi ($15)').code, 'wifi');
+  assert.equal(normalizeAmenity('Free parking').code, 'parking_free');
+  assert.equal(normalizeAmenity('Breakfast ($25)').code, 'breakfast');
+  assert.equal(normalizeAmenity('Free breakfast').code, 'breakfast_included');
+});
+
+test('normalizeAmenity understands other languages and accents', () => {
+  assert.equal(normalizeAmenity('Wi-Fi gratis').code, 'wifi_free');
+  assert.equal(normalizeAmenity('Kostenloses WLAN').code, 'wifi_free');
+  assert.equal(normalizeAmenity('Piscine extérieure').code, 'pool_outdoor');
+  assert.equal(normalizeAmenity('Petit-déjeuner inclus').code, 'breakfast_included');
+});
+
+test('normalizeAmenity ignores negated and unknown amenities', () => {
+  assert.equal(normalizeAmenity('No pets').code, null);
+  assert.equal(normalizeAmenity('Pets not allowed').code, null);
+  assert.equal(normalizeAmenity('Sin piscina').code, null);
+  assert.equal(normalizeAmenity('Rooftop view').code, null);
+  assert.deepEqual(normalizeAmenity('  Spa '), { code: 'spa', text: 'Spa' });
+});
+
+test('amenityCodes keeps distinct codes in order', () => {
+  assert.deepEqual(amenityCodes(['Free Wi-Fi', 'Gym', 'Free WiFi', 'Nope', 'Indoor pool']), ['wifi_free', 'fitness_center', 'pool_indoor']);
+  assert.deepEqual(amenityCodes(undefined), []);
+});
+
+test('hasAmenity counts narrower codes as the broader amenity', () => {
+  assert.equal(hasAmenity(['wifi_free'], 'wifi'), true);
+  assert.equal(hasAmenity(['pool_outdoor'], 'pool'), true);
+  assert.equal(hasAmenity(['wifi'], 'wifi_free'), false);
+  assert.equal(hasAmenity(null, 'wifi'), false);
+});
+
+test('listAmenities describes every code without patterns', () => {
+  const amenities = listAmenities();
+  assert.ok(amenities.every(amenity => isAmenityCode(amenity.code) && !('pattern' in amenity)));
+  assert.equal(amenities.find(amenity => amenity.code === 'parking_free').broader, 'parking');
+  assert.equal(isAmenityCode('pool'), true);
+  assert.equal(isAmenityCode('swimming'), false);
+});
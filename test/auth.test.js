@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The keys file is read from the environment when lib/auth is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotel-auth-'));
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+delete process.env.AUTH_DISABLED;
+
+const { hashKey, requireScope } = require('../lib/auth');
+
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+  keys: [
+    { id: 'frontend', hash: hashKey('read-key'), scopes: ['read'], rateLimit: { capacity: 2, perMinute: 60 } },
+    { id: 'worker', hash: hashKey('scrape-key'), scopes: ['read', 'scrape'], maxConcurrent: 1 }
+  ]
+}));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs the middleware once and reports the response, or next: true when the
+// request was let through
+function call(middleware, key) {
+  const headers = key ? { 'X-API-Key': key } : {};
+  const req = { method: 'POST', query: {}, get: name => headers[name] };
+  const res = {
+    headers: {},
+    listeners: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    on(event, listener) { this.listeners[event] = listener; }
+  };
+  let next = false;
+  middleware(req, res, () => { next = true; });
+  return { next, res };
+}
+
+test('requireScope rejects missing, unknown and under-scoped keys', () => {
+  assert.equal(call(requireScope('read')).res.statusCode, 401);
+  assert.equal(call(requireScope('read'), 'nope').res.statusCode, 401);
+  assert.equal(call(requireScope('scrape'), 'read-key').res.statusCode, 403);
+  assert.equal(call(requireScope('read'), 'scrape-key').next, true);
+});
+
+test('the token bucket allows bursts up to capacity and refills over time', t => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const middleware = requireScope('read');
+
+  assert.equal(call(middleware, 'read-key').next, true);
+  const second = call(middleware, 'read-key');
+  assert.equal(second.next, true);
+  assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+  const limited = call(middleware, 'read-key');
+  assert.equal(limited.next, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.headers['Retry-After'], '1');
+
+  // perMinute 60 is one token a second
+  now += 1000;
+  assert.equal(call(middleware, 'read-key').next, true);
+  assert.equal(call(middleware, 'read-key').next, false);
+});
+
+test('concurrency counts requests until their response finishes', () => {
+  const middleware = requireScope('scrape', { concurrency: true });
+  const first = call(middleware, 'scrape-key');
+  assert.equal(first.next, true);
+  assert.equal(call(middleware, 'scrape-key').res.statusCode, 429);
+
+  first.res.listeners.finish();
+  assert.equal(call(middleware, 'scrape-key').next, true);
+});
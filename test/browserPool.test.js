@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BrowserPool } = require('../lib/browserPool');
+
+// Pool whose leases are plain objects handed out after a delay, so no
+// browser is launched
+function fakePool(delay) {
+  const pool = new BrowserPool({ maxConcurrency: 1, acquireTimeout: 60000, healthCheckInterval: 60000 });
+  pool.closedContexts = [];
+  pool.createLease = function () {
+    const lease = { id: this.nextLeaseId++, entry: { activeContexts: 1 }, released: false };
+    lease.context = { close: async () => pool.closedContexts.push(lease.id) };
+    lease.release = () => this.release(lease);
+    this.leases.add(lease);
+    return new Promise(resolve => setTimeout(() => resolve(lease), delay));
+  };
+  return pool;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('aborting a queued acquire rejects at once and frees its place', async () => {
+  const pool = fakePool(0);
+  const held = await pool.acquire();
+  const controller = new AbortController();
+  const waiting = pool.acquire({}, { signal: controller.signal });
+  assert.equal(pool.queue.length, 1);
+
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(pool.queue.length, 0);
+  await held.release();
+  await pool.close();
+});
+
+test('aborting while the lease is being created still releases it', async () => {
+  const pool = fakePool(30);
+  const held = await pool.acquire();
+  const controller = new AbortController();
+  const running = pool.withContext({}, async () => 'ran', { signal: controller.signal });
+
+  await held.release();
+  await wait(10);
+  controller.abort();
+  await assert.rejects(running, { name: 'AbortError' });
+  await wait(10);
+  assert.equal(pool.leases.size, 0);
+  assert.deepEqual(pool.closedContexts, [1, 2]);
+  await pool.close();
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun, CronError } = require('../lib/scheduler/cron');
+
+// Monday 19 October 2026, 12:00 local time
+const FROM = new Date(2026, 9, 19, 12, 0);
+
+function next(expression, from = FROM) {
+  const date = nextRun(expression, from);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes()];
+}
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+  assert.equal(parseCron('@daily').minutes.has(0), true);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), CronError);
+  assert.throws(() => parseCron('60 * * * *'), CronError);
+  assert.throws(() => parseCron('*/0 * * * *'), CronError);
+  assert.throws(() => parseCron('0 5-1 * * *'), CronError);
+});
+
+test('nextRun finds the next matching minute', () => {
+  assert.deepEqual(next('*/15 * * * *'), [2026, 10, 19, 12, 15]);
+  assert.deepEqual(next('0 9 * * *'), [2026, 10, 20, 9, 0]);
+  assert.deepEqual(next('0 0 1 * *'), [2026, 11, 1, 0, 0]);
+  assert.deepEqual(next('@yearly'), [2027, 1, 1, 0, 0]);
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // The 20th comes before the next Sunday
+  assert.deepEqual(next('0 9 20 * sun'), [2026, 10, 20, 9, 0]);
+  assert.deepEqual(next('0 9 30 * sun'), [2026, 10, 25, 9, 0]);
+});
+
+test('nextRun treats a day field starting with * as unrestricted', () => {
+  assert.deepEqual(next('0 9 */1 * mon'), [2026, 10, 26, 9, 0]);
+  assert.deepEqual(next('0 9 * * mon'), [2026, 10, 26, 9, 0]);
+  // Odd days only
+  assert.deepEqual(next('0 9 */2 * *'), [2026, 10, 21, 9, 0]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileDatabase } = require('../lib/storage/fileDatabase');
+
+function tempDatabase(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotel-db-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, db: new FileDatabase(dir) };
+}
+
+function readTable(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+}
+
+test('rows get auto-increment ids and land on disk', async t => {
+  const { dir, db } = tempDatabase(t);
+  const table = db.table('deals');
+  const inserted = await table.insert([{ name: 'a' }, { name: 'b' }]);
+  assert.deepEqual(inserted.map(row => row.id), [1, 2]);
+
+  await table.upsert([{ id: 1, name: 'a2' }, { name: 'c' }]);
+  assert.equal(await table.remove(row => row.name === 'b'), 1);
+  assert.deepEqual(readTable(dir, 'deals'), [{ name: 'a2', id: 1 }, { name: 'c', id: 3 }]);
+
+  // A fresh database reads the table back and continues the ids
+  const reopened = new FileDatabase(dir).table('deals');
+  assert.equal(reopened.all().length, 2);
+  assert.equal((await reopened.insert([{ name: 'd' }]))[0].id, 4);
+});
+
+test('a failed write does not stop later ones', async t => {
+  const { dir, db } = tempDatabase(t);
+  const table = db.table('jobs');
+  await table.insert([{ name: 'first' }]);
+
+  const writeFile = fs.promises.writeFile;
+  let failures = 1;
+  t.mock.method(fs.promises, 'writeFile', (...args) => {
+    if (failures-- > 0) return Promise.reject(Object.assign(new Error('no space left on device'), { code: 'ENOSPC' }));
+    return writeFile(...args);
+  });
+
+  await assert.rejects(table.insert([{ name: 'second' }]), { code: 'ENOSPC' });
+  await table.insert([{ name: 'third' }]);
+  assert.deepEqual(readTable(dir, 'jobs').map(row => row.name), ['first', 'second', 'third']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, hotelKey, entityIdFromUrl, normalizeName, similarity, matchScore, mergeHotel } = require('../lib/hotels');
+
+test('slugify and hotelKey build ascii ids', () => {
+  assert.equal(slugify('Hôtel Le Marais & Spa'), 'hotel-le-marais-and-spa');
+  assert.equal(hotelKey('Hôtel Le Marais', 'Paris'), 'paris--hotel-le-marais');
+  assert.equal(hotelKey('Hôtel Le Marais'), 'hotel-le-marais');
+  assert.equal(hotelKey('', 'Paris'), null);
+});
+
+test('entityIdFromUrl reads Google hotel ids from links', () => {
+  assert.equal(entityIdFromUrl('https://www.google.com/travel/hotels/entity/ChYIq_abc-1?q=x'), 'ChYIq_abc-1');
+  assert.equal(entityIdFromUrl('https://www.google.com/travel/search?entity=ChkIabc&x=1'), 'ChkIabc');
+  assert.equal(entityIdFromUrl('https://example.com/hotel'), null);
+});
+
+test('normalizeName drops words that vary between listings', () => {
+  assert.equal(normalizeName('The Hilton Hotel by the Park'), 'hilton park');
+  assert.equal(similarity('hilton park', 'hilton park'), 1);
+  assert.equal(similarity('', 'hilton'), 0);
+  assert.ok(similarity('hilton midtown', 'hilton midtwn') > 0.8);
+});
+
+test('matchScore trusts entity ids over names', () => {
+  const stored = { entity_id: 'ChA', name: 'Hilton Midtown', destination: 'New York' };
+  assert.equal(matchScore({ entityId: 'ChA', name: 'Something else' }, stored), 1);
+  assert.equal(matchScore({ entityId: 'ChB', name: 'Hilton Midtown' }, stored), 0);
+});
+
+test('matchScore matches close names in the same destination', () => {
+  const stored = { name: 'New York Hilton Midtown', names: [], destination: 'New York', address: '1335 Avenue of the Americas' };
+  assert.ok(matchScore({ name: 'The New York Hilton Midtown', destination: 'new york' }, stored) >= 0.9);
+  assert.equal(matchScore({ name: 'New York Hilton Midtown', destination: 'Boston' }, stored), 0);
+  assert.ok(matchScore({ name: 'New York Hilton Midtown', destination: 'Boston', address: '1335 Avenue of the Americas' }, stored) > 0);
+  assert.equal(matchScore({ name: 'Marriott Marquis', destination: 'New York' }, stored), 0);
+});
+
+test('mergeHotel keeps every name and id the hotel was seen under', () => {
+  const first = mergeHotel(null, { name: 'Hotel Le Marais', destination: 'Paris', rating: 4.2, amenities: ['Spa'], source: 'google-travel' }, '2026-01-01');
+  assert.equal(first.id, 'paris--hotel-le-marais');
+  assert.equal(first.observations, 1);
+
+  const second = mergeHotel(first, { name: 'Le Marais Hotel', destination: 'Paris', rating: null, amenities: ['Bar'], source: 'hotels-com' }, '2026-02-01');
+  assert.equal(second.id, first.id);
+  assert.equal(second.name, 'Le Marais Hotel');
+  assert.deepEqual(second.names, ['Hotel Le Marais', 'Le Marais Hotel']);
+  assert.deepEqual(second.aliases, ['paris--le-marais-hotel']);
+  assert.equal(second.data.rating, 4.2);
+  assert.deepEqual(second.data.amenities, ['Spa', 'Bar']);
+  assert.deepEqual(second.data.sources, ['google-travel', 'hotels-com']);
+  assert.equal(second.first_seen, '2026-01-01');
+  assert.equal(second.observations, 2);
+});
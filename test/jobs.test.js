@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue, JobError } = require('../lib/jobs');
+
+// Queue with an in-memory repository and a "wait" job type that runs until
+// its release() is called
+function testQueue(options = {}) {
+  const queue = new JobQueue({ repository: { save: async () => {}, loadAll: async () => [] }, ...options });
+  const waiting = [];
+  queue.registerType('wait', () => new Promise(resolve => waiting.push(resolve)));
+  queue.releaseAll = () => waiting.splice(0).forEach(resolve => resolve({ ok: true }));
+  return queue;
+}
+
+const finished = queue => new Promise(resolve => queue.once('finished', resolve));
+
+test('jobs record their owner and listing filters on it', async () => {
+  const queue = testQueue();
+  queue.submit('wait', {}, { owner: 'frontend' });
+  queue.submit('wait', {}, { owner: 'worker' });
+  queue.submit('wait', {});
+  assert.equal(queue.list({ owner: 'frontend' }).length, 1);
+  assert.equal(queue.list({ owner: null }).length, 1);
+  assert.equal(queue.list().length, 3);
+  queue.releaseAll();
+  await queue.close();
+});
+
+test('maxActive caps the queued and running jobs of one owner', async () => {
+  const queue = testQueue({ concurrency: 1 });
+  queue.submit('wait', {}, { owner: 'frontend', maxActive: 2 });
+  queue.submit('wait', {}, { owner: 'frontend', maxActive: 2 });
+  assert.equal(queue.activeCount('frontend'), 2);
+
+  assert.throws(() => queue.submit('wait', {}, { owner: 'frontend', maxActive: 2 }),
+    error => error instanceof JobError && error.statusCode === 429);
+  // Other keys and the server's own jobs are not affected
+  queue.submit('wait', {}, { owner: 'worker', maxActive: 2 });
+  queue.submit('wait', {});
+
+  const done = finished(queue);
+  queue.releaseAll();
+  await done;
+  assert.equal(queue.activeCount('frontend'), 1);
+  queue.submit('wait', {}, { owner: 'frontend', maxActive: 2 });
+
+  while (queue.running.size > 0 || queue.pending.length > 0) {
+    const next = finished(queue);
+    queue.releaseAll();
+    await next;
+  }
+  await queue.close();
+});
+
+test('submit rejects unknown types and missing params', () => {
+  const queue = testQueue();
+  queue.registerType('prices', async () => null, { required: ['hotelName'] });
+  assert.throws(() => queue.submit('nope'), { statusCode: 400 });
+  assert.throws(() => queue.submit('prices', { hotelName: '' }), /hotelName/);
+});
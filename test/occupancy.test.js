@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeOccupancy, describeOccupancy, totalGuests, occupancyReport, OccupancyError } = require('../lib/occupancy');
+
+test('normalizeOccupancy defaults to two adults in one room', () => {
+  assert.deepEqual(normalizeOccupancy(), { rooms: 1, adults: 2, children: [] });
+  assert.deepEqual(normalizeOccupancy({}), { rooms: 1, adults: 2, children: [] });
+});
+
+test('normalizeOccupancy reads the older travelers count as adults', () => {
+  assert.deepEqual(normalizeOccupancy(undefined, { travelers: '3' }), { rooms: 1, adults: 3, children: [] });
+  assert.throws(() => normalizeOccupancy(undefined, { travelers: 0 }), OccupancyError);
+});
+
+test('normalizeOccupancy coerces numbers and child ages', () => {
+  assert.deepEqual(
+    normalizeOccupancy({ rooms: '2', adults: '3', children: ['4', 9] }),
+    { rooms: 2, adults: 3, children: [4, 9] }
+  );
+});
+
+test('normalizeOccupancy rejects impossible stays', () => {
+  assert.throws(() => normalizeOccupancy([]), OccupancyError);
+  assert.throws(() => normalizeOccupancy({ rooms: 3, adults: 2 }), /at least one adult/);
+  assert.throws(() => normalizeOccupancy({ rooms: 10, adults: 10 }), OccupancyError);
+  assert.throws(() => normalizeOccupancy({ children: [18] }), OccupancyError);
+  assert.throws(() => normalizeOccupancy({ children: 2 }), OccupancyError);
+  assert.throws(() => normalizeOccupancy({ adults: 1.5 }), OccupancyError);
+  assert.throws(() => normalizeOccupancy({ adults: 30, children: [1] }), OccupancyError);
+});
+
+test('describeOccupancy and occupancyReport summarize the stay', () => {
+  const occupancy = normalizeOccupancy({ adults: 2, children: [4, 9] });
+  assert.equal(totalGuests(occupancy), 4);
+  assert.equal(describeOccupancy(occupancy), '2 adults, 2 children (4, 9), 1 room');
+  assert.equal(describeOccupancy(normalizeOccupancy({ adults: 1, children: [3] })), '1 adult, 1 child (3), 1 room');
+
+  const report = occupancyReport(occupancy, { unapplied: ['children'], reason: 'No child ages field' });
+  assert.equal(report.applied, false);
+  assert.deepEqual(report.unapplied, ['children']);
+});
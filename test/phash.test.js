@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HASH_SIZE, perceptualHash, hammingDistance } = require('../lib/media/phash');
+
+// Greyscale test images built from a brightness function of (x, y)
+function image(brightness) {
+  const pixels = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) pixels.push(Math.max(0, Math.min(255, brightness(x, y))));
+  }
+  return pixels;
+}
+
+const rings = image((x, y) => 128 + 100 * Math.sin(Math.hypot(x - 16, y - 16) / 2));
+// A lit disc on a sloping background
+const scene = image((x, y) => 40 + x * 4 + (Math.hypot(x - 20, y - 10) < 8 ? 120 : 0));
+
+test('perceptualHash returns 16 hex characters', () => {
+  assert.match(perceptualHash(rings), /^[0-9a-f]{16}$/);
+  assert.throws(() => perceptualHash([1, 2, 3]), /1024 greyscale pixels/);
+});
+
+test('brightness, contrast and noise keep the hash close', () => {
+  const brighter = rings.map(value => value + 20);
+  const flatter = rings.map(value => value * 0.8 + 20);
+  const noisy = rings.map((value, index) => value + ((index * 7919) % 5) - 2);
+  for (const copy of [brighter, flatter, noisy]) {
+    assert.ok(hammingDistance(perceptualHash(rings), perceptualHash(copy)) <= 4);
+  }
+});
+
+test('different images land far apart', () => {
+  assert.ok(hammingDistance(perceptualHash(rings), perceptualHash(scene)) >= 16);
+});
+
+test('hammingDistance counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(hammingDistance('00000000000000f0', '0000000000000010'), 3);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildStays, buildCalendar, cheapestTotal, CalendarError } = require('../lib/priceCalendar');
+
+test('buildStays combines every check-in with every stay length', () => {
+  const stays = buildStays({ from: '2024-02-28', to: '2024-03-01', minNights: 1, maxNights: 2 });
+  assert.equal(stays.length, 6);
+  assert.deepEqual(stays[0], { checkIn: '2024-02-28', checkOut: '2024-02-29', nights: 1 });
+  assert.deepEqual(stays[3], { checkIn: '2024-02-29', checkOut: '2024-03-02', nights: 2 });
+});
+
+test('buildStays rejects bad windows and oversized grids', t => {
+  t.after(() => delete process.env.CALENDAR_MAX_STAYS);
+  assert.throws(() => buildStays({ from: '2024-3-1', to: '2024-03-02' }), CalendarError);
+  assert.throws(() => buildStays({ from: '2024-03-02', to: '2024-03-01' }), /before from/);
+  assert.throws(() => buildStays({ from: '2024-03-01', to: '2024-03-02', minNights: 3, maxNights: 2 }), { statusCode: 400 });
+  process.env.CALENDAR_MAX_STAYS = '4';
+  assert.throws(() => buildStays({ from: '2024-03-01', to: '2024-03-05' }), /limit is 4/);
+});
+
+test('cheapestTotal compares totals across providers and rooms', () => {
+  const cheapest = cheapestTotal([
+    { provider: 'A', rooms: [{ type: 'Double', basePrice: { perNight: 120, currency: 'EUR' } }] },
+    { provider: 'B', rooms: [{ type: 'Twin', totalPrice: { total: 230, currency: 'EUR' } }, { type: 'Suite' }] }
+  ], 2);
+  assert.deepEqual(cheapest, { total: 230, perNight: 115, currency: 'EUR', provider: 'B', room: 'Twin', url: null });
+  assert.equal(cheapestTotal([], 2), null);
+});
+
+test('buildCalendar lays stays out by check-in and flags the best ones', () => {
+  const offer = total => [{ provider: 'P', rooms: [{ totalPrice: { total, currency: 'USD' } }] }];
+  const calendar = buildCalendar([
+    { checkIn: '2024-03-01', checkOut: '2024-03-02', nights: 1, listings: offer(100) },
+    { checkIn: '2024-03-01', checkOut: '2024-03-03', nights: 2, listings: offer(180) },
+    { checkIn: '2024-03-02', checkOut: '2024-03-03', nights: 1, listings: offer(90) },
+    { checkIn: '2024-03-02', checkOut: '2024-03-04', nights: 2, error: 'Timed out' }
+  ]);
+
+  assert.deepEqual(calendar.nights, [1, 2]);
+  assert.deepEqual(calendar.rows.map(row => row.checkIn), ['2024-03-01', '2024-03-02']);
+  assert.equal(calendar.best.checkIn, '2024-03-01');
+  assert.equal(calendar.best.nights, 2);
+  assert.equal(calendar.bestByNights[1].total, 90);
+  assert.equal(calendar.rows[1].stays[2].total, null);
+  assert.equal(calendar.rows[1].stays[2].error, 'Timed out');
+  assert.equal(calendar.priced, 3);
+  assert.equal(calendar.missing, 1);
+});
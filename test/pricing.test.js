@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, convertPrice, normalizePrice, nightsBetween, resolveCurrency, loadRates, PricingError } = require('../lib/pricing');
+
+test('parsePrice reads symbols, codes and separators', () => {
+  assert.equal(parsePrice('$123').amount, 123);
+  assert.equal(parsePrice('$123').currency, 'USD');
+  assert.equal(parsePrice('€1.234,50').amount, 1234.5);
+  assert.equal(parsePrice('€1.234,50').currency, 'EUR');
+  assert.equal(parsePrice('1,234.50 GBP').amount, 1234.5);
+  assert.equal(parsePrice('JPY 18,000').amount, 18000);
+  assert.equal(parsePrice('1 234 kr').amount, 1234);
+  assert.equal(parsePrice('12,5').amount, 12.5);
+  assert.equal(parsePrice('No price'), null);
+  assert.equal(parsePrice(''), null);
+});
+
+test('parsePrice only reads a space as a thousands separator between groups of three', () => {
+  assert.equal(parsePrice('$120 2 nights').amount, 120);
+  assert.equal(parsePrice('1\u00a0234,50 €').amount, 1234.5);
+  assert.equal(parsePrice('12 345 678 JPY').amount, 12345678);
+  assert.equal(parsePrice('12 34').amount, 12);
+  assert.equal(parsePrice('1 2345').amount, 1);
+});
+
+test('parsePrice reads kr from the requested currency or the locale', () => {
+  assert.equal(parsePrice('1 234 kr').currency, null);
+  assert.equal(parsePrice('1 234 kr', { locale: 'nb-NO' }).currency, 'NOK');
+  assert.equal(parsePrice('kr 899', { locale: 'da' }).currency, 'DKK');
+  assert.equal(parsePrice('Kr. 500', { locale: 'sv-SE' }).currency, 'SEK');
+  assert.equal(parsePrice('899 kr', { locale: 'en-US', expected: 'ISK' }).currency, 'ISK');
+  assert.equal(parsePrice('899 kr', { locale: 'en-US', expected: 'EUR' }).currency, null);
+  assert.equal(normalizePrice('899 kr', { currency: 'NOK' }).currency, 'NOK');
+});
+
+test('parsePrice derives the other figure from the night count', () => {
+  const nightly = parsePrice('$100', { nights: 3 });
+  assert.equal(nightly.basis, 'perNight');
+  assert.equal(nightly.total, 300);
+
+  const total = parsePrice('$300 total', { nights: 4 });
+  assert.equal(total.basis, 'total');
+  assert.equal(total.perNight, 75);
+
+  assert.equal(parsePrice('$300', { basis: 'total' }).perNight, null);
+});
+
+test('parsePrice reads whether taxes are included', () => {
+  assert.equal(parsePrice('$120 incl. taxes').includesTaxes, true);
+  assert.equal(parsePrice('$120 + taxes', { includesTaxes: true }).includesTaxes, false);
+  assert.equal(parsePrice('$120', { includesTaxes: true }).includesTaxes, true);
+});
+
+test('convertPrice uses the rate table and keeps the original', () => {
+  const { rates } = loadRates();
+  const converted = convertPrice(parsePrice('$100', { nights: 2 }), 'EUR');
+  assert.equal(converted.currency, 'EUR');
+  assert.equal(converted.amount, Math.round(100 * rates.EUR * 100) / 100);
+  assert.equal(converted.total, Math.round(200 * rates.EUR * 100) / 100);
+  assert.deepEqual(converted.original, { amount: 100, currency: 'USD' });
+});
+
+test('convertPrice leaves prices in unknown currencies alone', () => {
+  const price = { amount: 10, currency: null, perNight: 10, total: null };
+  assert.equal(convertPrice(price, 'EUR'), price);
+  assert.equal(normalizePrice('€50', { currency: 'EUR' }).original, undefined);
+});
+
+test('nightsBetween counts nights and rejects bad stays', () => {
+  assert.equal(nightsBetween('2026-03-01', '2026-03-04'), 3);
+  assert.equal(nightsBetween('2026-03-04', '2026-03-01'), null);
+  assert.equal(nightsBetween('2026-03-01', null), null);
+  assert.equal(nightsBetween('soon', '2026-03-01'), null);
+});
+
+test('resolveCurrency validates against the rate table', () => {
+  assert.equal(resolveCurrency(' eur '), 'EUR');
+  assert.equal(resolveCurrency(undefined), null);
+  assert.throws(() => resolveCurrency('XXX'), PricingError);
+});
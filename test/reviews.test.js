@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReviewDate, validateReviewLimit, summarizeReviews, ReviewError } = require('../lib/reviews');
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+test('parseReviewDate counts relative dates back from now', () => {
+  assert.equal(parseReviewDate('Today', now), '2024-06-15');
+  assert.equal(parseReviewDate('5 hours ago', now), '2024-06-15');
+  assert.equal(parseReviewDate('Yesterday', now), '2024-06-14');
+  assert.equal(parseReviewDate('3 days ago', now), '2024-06-12');
+  assert.equal(parseReviewDate('a week ago', now), '2024-06-08');
+  assert.equal(parseReviewDate('2 months ago on Google', now), '2024-04-16');
+  assert.equal(parseReviewDate('A year ago', now), '2023-06-16');
+});
+
+test('parseReviewDate reads absolute dates as UTC days', () => {
+  assert.equal(parseReviewDate('Mar 3, 2024', now), '2024-03-03');
+  assert.equal(parseReviewDate('March 2024', now), '2024-03-01');
+  assert.equal(parseReviewDate('March 2024 on Tripadvisor', now), '2024-03-01');
+});
+
+test('parseReviewDate returns null for missing or unreadable dates', () => {
+  assert.equal(parseReviewDate('', now), null);
+  assert.equal(parseReviewDate(null, now), null);
+  assert.equal(parseReviewDate('a while back', now), null);
+});
+
+test('validateReviewLimit defaults and caps the count', t => {
+  t.after(() => delete process.env.REVIEWS_MAX_LIMIT);
+  assert.equal(validateReviewLimit(undefined), 50);
+  assert.equal(validateReviewLimit('20'), 20);
+  assert.throws(() => validateReviewLimit('0'), ReviewError);
+  assert.throws(() => validateReviewLimit(2.5), { statusCode: 400 });
+  process.env.REVIEWS_MAX_LIMIT = '10';
+  assert.equal(validateReviewLimit(''), 10);
+  assert.throws(() => validateReviewLimit(11), /between 1 and 10/);
+});
+
+test('summarizeReviews sorts aspects into pros and cons', () => {
+  const summary = summarizeReviews([
+    { score: 5, text: 'The staff were friendly. Great location near the metro.', travelerType: 'Couple' },
+    { score: 4, text: 'Helpful staff but the room was not clean.', travelerType: 'Couple' },
+    { score: 2, text: 'Dirty room and noisy street. Excellent location though.' }
+  ], [{ name: 'Rooms', score: 3.1 }]);
+
+  assert.equal(summary.reviewCount, 3);
+  assert.equal(summary.averageScore, 3.7);
+  assert.deepEqual(summary.travelerTypes, { Couple: 2 });
+  assert.deepEqual(summary.pros.map(pro => pro.aspect).sort(), ['location', 'service']);
+  assert.deepEqual(summary.cons.map(con => con.aspect).sort(), ['cleanliness', 'rooms']);
+  assert.equal(summary.cons.find(con => con.aspect === 'rooms').googleScore, 3.1);
+  assert.ok(summary.keywords.some(keyword => keyword.term === 'not clean' && keyword.sentiment === 'negative'));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/jobs');
+const { Scheduler } = require('../lib/scheduler');
+
+const memory = () => ({ save: async () => {}, loadAll: async () => [], remove: async () => {} });
+
+// A job queue whose "city" jobs run until release(target) is called, and a
+// scheduler on top of it
+function testScheduler(schedule) {
+  const jobQueue = new JobQueue({ repository: memory(), concurrency: 5 });
+  const running = new Map();
+  jobQueue.registerType('city', params => new Promise((resolve, reject) => running.set(params.city, { resolve, reject })));
+  const scheduler = new Scheduler(jobQueue, { repository: memory() });
+  scheduler.define({ id: 'cities', cron: '0 3 * * *', jobType: 'city', targetParam: 'city', ...schedule });
+
+  const finish = async (city, error) => {
+    const done = new Promise(resolve => jobQueue.once('finished', resolve));
+    if (error) running.get(city).reject(error);
+    else running.get(city).resolve({ ok: true });
+    await done;
+  };
+  return { jobQueue, scheduler, finish };
+}
+
+test('rotate mode submits one target per run, in order', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { scheduler, finish } = testScheduler({ targets: ['paris', 'rome'] });
+  assert.equal(scheduler.trigger('cities')[0].params.city, 'paris');
+  assert.equal(scheduler.trigger('cities')[0].params.city, 'rome');
+  // Both are still running, so there is nothing to submit
+  assert.deepEqual(scheduler.trigger('cities'), []);
+  await finish('paris');
+  assert.equal(scheduler.trigger('cities')[0].params.city, 'paris');
+});
+
+test('all mode queues behind concurrency and keeps the callbackUrl for later submissions', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { jobQueue, scheduler, finish } = testScheduler({ targets: ['paris', 'rome', 'oslo'], mode: 'all', concurrency: 1 });
+  const jobs = scheduler.trigger('cities', { callbackUrl: 'https://example.com/hook' });
+  assert.equal(jobs.length, 1);
+  assert.deepEqual(scheduler.get('cities').queue, ['rome', 'oslo']);
+
+  await finish('paris');
+  await finish('rome');
+  const submitted = jobQueue.list({ type: 'city' });
+  assert.deepEqual(submitted.map(job => job.params.city).sort(), ['oslo', 'paris', 'rome']);
+  assert.ok(submitted.every(job => job.callbackUrl === 'https://example.com/hook'));
+  await finish('oslo');
+});
+
+test('failed targets are retried with backoff behind the concurrency limit', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { scheduler, finish } = testScheduler({ targets: ['paris', 'rome'], mode: 'all', concurrency: 1, retryDelayMinutes: 1 });
+  scheduler.trigger('cities');
+  await finish('paris', new Error('blocked'));
+  const paris = scheduler.get('cities').targets.paris;
+  assert.equal(paris.status, 'retrying');
+  assert.equal(paris.failures, 1);
+
+  // rome is running, so the due retry waits in the queue
+  scheduler.tickSchedule(scheduler.get('cities'), new Date(Date.now() + 2 * 60 * 1000));
+  assert.deepEqual(scheduler.get('cities').queue, ['paris']);
+  await finish('rome');
+  assert.equal(paris.status, 'queued');
+  await finish('paris');
+  assert.equal(paris.status, 'succeeded');
+});
+
+test('a run that cannot be submitted is recorded instead of thrown', t => {
+  t.mock.method(console, 'error', () => {});
+  const { scheduler } = testScheduler({ targets: ['paris'], jobType: 'missing' });
+  const schedule = scheduler.get('cities');
+  schedule.nextRunAt = new Date(0).toISOString();
+  assert.doesNotThrow(() => scheduler.tick());
+  assert.match(schedule.lastError, /Unknown job type/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateSearchFilters,
+  matchesFilters,
+  applySearchFilters,
+  scrapeFilters,
+  searchMatcher,
+  SearchFilterError
+} = require('../lib/searchFilters');
+
+const hotels = [
+  { name: 'Harbor Inn', price: { perNight: 180 }, rating: 4.1, reviewCount: 900, hotelClass: 3, amenities: ['Free Wi-Fi'] },
+  { name: 'Grand Plaza', price: { perNight: 420 }, rating: 4.7, reviewCount: 2100, hotelClass: 5, amenities: ['Outdoor pool', 'Spa'] },
+  { name: 'Budget Stay', price: { perNight: 90 }, rating: 3.6, reviewCount: 150, hotelClass: 2, amenities: ['Parking ($20)'] },
+  { name: 'Park Hotel', price: null, rating: 4.4, reviewCount: 400, hotelClass: 4, amenities: ['Free parking', 'Pool'] }
+];
+
+test('validateSearchFilters normalizes query and body input', () => {
+  const filters = validateSearchFilters({ priceMax: '300', hotelClass: '5,3,5', amenities: 'Pool, spa', page: '2', limit: '10' });
+  assert.equal(filters.priceMax, 300);
+  assert.deepEqual(filters.hotelClass, [3, 5]);
+  assert.deepEqual(filters.amenities, ['pool', 'spa']);
+  assert.equal(filters.sort, 'relevance');
+  assert.equal(filters.page, 2);
+  assert.equal(filters.limit, 10);
+});
+
+test('validateSearchFilters rejects bad values', () => {
+  assert.throws(() => validateSearchFilters({ priceMin: 200, priceMax: 100 }), SearchFilterError);
+  assert.throws(() => validateSearchFilters({ hotelClass: '6' }), SearchFilterError);
+  assert.throws(() => validateSearchFilters({ minRating: '5.5' }), SearchFilterError);
+  assert.throws(() => validateSearchFilters({ sort: 'cheapest' }), SearchFilterError);
+  assert.throws(() => validateSearchFilters({ page: '0' }), SearchFilterError);
+});
+
+test('matchesFilters leaves out hotels without the filtered value', () => {
+  const filters = validateSearchFilters({ priceMax: 500 });
+  assert.deepEqual(hotels.filter(hotel => matchesFilters(hotel, filters)).map(hotel => hotel.name),
+    ['Harbor Inn', 'Grand Plaza', 'Budget Stay']);
+});
+
+test('matchesFilters matches amenity codes on the taxonomy and other text literally', () => {
+  const pool = validateSearchFilters({ amenities: 'pool' });
+  assert.deepEqual(hotels.filter(hotel => matchesFilters(hotel, pool)).map(hotel => hotel.name), ['Grand Plaza', 'Park Hotel']);
+  const freeParking = validateSearchFilters({ amenities: 'parking_free' });
+  assert.deepEqual(hotels.filter(hotel => matchesFilters(hotel, freeParking)).map(hotel => hotel.name), ['Park Hotel']);
+  const spa = validateSearchFilters({ amenities: 'SPA' });
+  assert.deepEqual(hotels.filter(hotel => matchesFilters(hotel, spa)).map(hotel => hotel.name), ['Grand Plaza']);
+});
+
+test('applySearchFilters sorts and pages the matches', () => {
+  const { results, pagination } = applySearchFilters(hotels, validateSearchFilters({ sort: 'lowest_price', limit: 2 }));
+  assert.deepEqual(results.map(hotel => hotel.name), ['Budget Stay', 'Harbor Inn']);
+  assert.deepEqual(pagination, { page: 1, limit: 2, matched: 4, hasMore: true });
+
+  const last = applySearchFilters(hotels, validateSearchFilters({ sort: 'highest_rating', limit: 3, page: 2 }));
+  assert.deepEqual(last.results.map(hotel => hotel.name), ['Budget Stay']);
+  assert.equal(last.pagination.hasMore, false);
+});
+
+test('scrapeFilters reads every page for sorts and only enough for relevance', () => {
+  assert.equal(scrapeFilters(validateSearchFilters({ page: 2, limit: 10 })).minResults, 20);
+  assert.equal(scrapeFilters(validateSearchFilters({ sort: 'most_reviewed' })).minResults, Infinity);
+  const filters = scrapeFilters(validateSearchFilters({ hotelClass: '4', minRating: 4 }));
+  assert.deepEqual(filters.hotelClass, [4]);
+  assert.equal(filters.minRating, 4);
+  assert.equal(filters.amenities, undefined);
+});
+
+test('searchMatcher checks the filters applied after scraping', () => {
+  assert.equal(searchMatcher(scrapeFilters(validateSearchFilters({}))), null);
+  const matches = searchMatcher(scrapeFilters(validateSearchFilters({ minRating: 4, amenities: 'pool' })));
+  assert.deepEqual(hotels.filter(matches).map(hotel => hotel.name), ['Grand Plaza', 'Park Hotel']);
+});
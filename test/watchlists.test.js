@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WatchlistService, WatchError, validateThreshold, lowestOffer, crossed } = require('../lib/watchlists');
+
+// Service with an in-memory repository and a job queue that only records
+// what was submitted
+function testService() {
+  const submitted = [];
+  const jobQueue = {
+    submit: (type, params, options) => {
+      const job = { id: `job-${submitted.length + 1}`, type, params, status: 'queued', ...options };
+      submitted.push(job);
+      return job;
+    },
+    get: id => submitted.find(job => job.id === id) || null,
+    cancel: () => {}
+  };
+  const service = new WatchlistService(jobQueue, { repository: { save: async () => {}, loadAll: async () => [], remove: async () => {} } });
+  service.submitted = submitted;
+  return service;
+}
+
+const stay = {
+  hotelName: 'Hilton Midtown',
+  location: 'New York',
+  checkInDate: '2099-05-01',
+  checkOutDate: '2099-05-03'
+};
+
+test('create stores a normalized watch and queues its first check', () => {
+  const service = testService();
+  const watch = service.create({ ...stay, currency: 'eur', threshold: { amount: '20' } }, 'frontend');
+  assert.equal(watch.currency, 'EUR');
+  assert.deepEqual(watch.threshold, { percent: null, amount: 20, targetPrice: null });
+  assert.deepEqual(watch.occupancy, { rooms: 1, adults: 2, children: [] });
+  assert.equal(watch.notify.type, 'log');
+  assert.equal(service.submitted[0].owner, 'frontend');
+  assert.deepEqual(service.list({ owner: 'frontend' }), [watch]);
+});
+
+test('create rejects missing, null and invalid input with a 400', () => {
+  const service = testService();
+  const invalid = [
+    { hotelName: 'Hilton' },
+    { ...stay, checkOutDate: '2099-04-30' },
+    { ...stay, intervalMinutes: 5 },
+    { ...stay, currency: 'XXX' },
+    { ...stay, threshold: null },
+    { ...stay, threshold: '5%' },
+    { ...stay, threshold: { percent: -1 } },
+    { ...stay, notify: null },
+    { ...stay, notify: 'email' },
+    { ...stay, notify: { type: 'pigeon' } }
+  ];
+  for (const params of invalid) {
+    assert.throws(() => service.create(params), error => error.statusCode === 400, JSON.stringify(params));
+  }
+  assert.equal(service.list().length, 0);
+});
+
+test('validateThreshold defaults to a percentage drop', () => {
+  assert.equal(validateThreshold(undefined).percent, 5);
+  assert.equal(validateThreshold({ targetPrice: 150 }).percent, null);
+  assert.throws(() => validateThreshold([]), WatchError);
+});
+
+test('lowestOffer picks the cheapest nightly rate across providers', () => {
+  const offer = lowestOffer([
+    { provider: 'A', rooms: [{ type: 'King', basePrice: { perNight: 210, currency: 'USD' } }] },
+    { provider: 'B', rooms: [{ type: 'Queen', totalPrice: { amount: 180, currency: 'USD' } }, { type: 'Suite' }] }
+  ]);
+  assert.deepEqual(offer, { amount: 180, currency: 'USD', provider: 'B', room: 'Queen', url: null });
+  assert.equal(lowestOffer([]), null);
+});
+
+test('crossed reports drops past the threshold', () => {
+  const threshold = { percent: 10, amount: null, targetPrice: 100 };
+  assert.equal(crossed(threshold, null, 150), null);
+  assert.match(crossed(threshold, 150, 130), /13.3% below/);
+  assert.equal(crossed(threshold, 150, 140), null);
+  assert.match(crossed(threshold, 150, 95), /target of 100/);
+  // Already under the target, so only a further percentage drop counts
+  assert.equal(crossed(threshold, 95, 92), null);
+});
+
+test('check records the baseline and alerts on a later drop', async t => {
+  t.mock.method(console, 'log', () => {});
+  const service = testService();
+  const watch = service.create({ ...stay, threshold: { percent: 10 } });
+  const listings = price => [{ provider: 'A', rooms: [{ basePrice: { perNight: price, currency: 'USD' } }] }];
+
+  const first = await service.check(watch.id, async () => listings(200));
+  assert.equal(first.alerted, false);
+  assert.equal(watch.lowestPrice, 200);
+
+  const second = await service.check(watch.id, async () => listings(170));
+  assert.equal(second.alerted, true);
+  assert.equal(watch.alerts.length, 1);
+  assert.equal(watch.lowestPrice, 170);
+
+  await assert.rejects(service.check('missing', async () => []), { statusCode: 404 });
+});
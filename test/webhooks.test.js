@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { WebhookDispatcher, validateCallbackUrl, isPrivateAddress, postCallback, sign } = require('../lib/webhooks');
+
+process.env.WEBHOOK_SECRET = 'test-secret';
+
+test('isPrivateAddress covers IPv4 private ranges', () => {
+  for (const address of ['0.0.0.0', '10.1.2.3', '127.0.0.1', '100.64.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.1.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '100.128.0.1', '172.32.0.1', '192.169.0.1', 'example.com']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPrivateAddress judges IPv6 forms by the IPv4 address they carry', () => {
+  const internal = [
+    '::', '::1', '0:0:0:0:0:0:0:1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0',
+    '::ffff:10.0.0.1', '::ffff:a00:1', '::ffff:7f00:1',
+    '::127.0.0.1', '::a9fe:a9fe',
+    '64:ff9b::10.0.0.1', '64:ff9b::a9fe:a9fe', '64:ff9b:1::808:808',
+    '2002:a00:1::', '2002:c0a8:101::1', '2002:7f00:1::1'
+  ];
+  for (const address of internal) assert.equal(isPrivateAddress(address), true, address);
+
+  const external = ['2001:4860:4860::8888', '::ffff:8.8.8.8', '::8.8.8.8', '64:ff9b::8.8.8.8', '2002:808:808::1', '2606:4700::1111'];
+  for (const address of external) assert.equal(isPrivateAddress(address), false, address);
+});
+
+test('validateCallbackUrl refuses local targets and odd schemes', () => {
+  assert.equal(validateCallbackUrl('https://hooks.example.com/jobs'), 'https://hooks.example.com/jobs');
+  assert.equal(validateCallbackUrl(undefined), null);
+  for (const url of [
+    'not a url',
+    'ftp://hooks.example.com/',
+    'http://localhost:3000/',
+    'http://api.localhost/',
+    'http://127.0.0.1/',
+    'http://[::1]/',
+    'http://[::ffff:a9fe:a9fe]/latest/meta-data',
+    'http://[64:ff9b::a9fe:a9fe]/',
+    'http://[2002:a9fe:a9fe::]/'
+  ]) {
+    assert.throws(() => validateCallbackUrl(url), { statusCode: 400 }, url);
+  }
+});
+
+test('validateCallbackUrl lets allowlisted hosts through', t => {
+  t.after(() => delete process.env.WEBHOOK_ALLOWED_HOSTS);
+  process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost, 127.0.0.1';
+  assert.equal(validateCallbackUrl('http://localhost:4000/hook'), 'http://localhost:4000/hook');
+  assert.throws(() => validateCallbackUrl('http://10.0.0.1/'), { statusCode: 400 });
+});
+
+test('postCallback refuses names that resolve to a private address', async t => {
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (options.all) callback(null, [{ address: '8.8.8.8', family: 4 }, { address: '64:ff9b::a00:1', family: 6 }]);
+    else callback(null, '10.0.0.1', 4);
+  });
+  await assert.rejects(postCallback('http://internal.example.com/hook', { body: '{}' }), /resolves to a private address/);
+});
+
+// Minimal job queue for the dispatcher: an emitter with jobs and persist()
+function testQueue() {
+  const queue = new EventEmitter();
+  queue.jobs = new Map();
+  queue.saved = [];
+  queue.persist = job => queue.saved.push(JSON.parse(JSON.stringify(job.webhook)));
+  return queue;
+}
+
+test('finished jobs are delivered signed, retried on failure and saved as pending first', async t => {
+  t.mock.method(console, 'log', () => {});
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  t.after(() => delete process.env.WEBHOOK_ALLOWED_HOSTS);
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = received.length === 1 ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const queue = testQueue();
+  const dispatcher = new WebhookDispatcher(queue, { baseDelay: 10 });
+  t.after(() => dispatcher.close());
+  const job = {
+    id: 'job-1',
+    type: 'info',
+    status: 'succeeded',
+    result: { ok: true },
+    callbackUrl: `http://127.0.0.1:${server.address().port}/hook`
+  };
+  queue.jobs.set(job.id, job);
+  queue.emit('finished', job);
+  assert.equal(queue.saved[0].state, 'pending');
+
+  while (job.webhook.state === 'pending') await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(job.webhook.state, 'delivered');
+  assert.deepEqual(job.deliveries.map(delivery => delivery.statusCode), [500, 204]);
+
+  const { headers, body } = received[1];
+  assert.equal(JSON.parse(body).event, 'job.succeeded');
+  assert.equal(headers['x-webhook-signature'], `sha256=${sign('test-secret', headers['x-webhook-timestamp'], body)}`);
+});
+
+test('resume picks up finished jobs whose delivery never started', t => {
+  const queue = testQueue();
+  const dispatcher = new WebhookDispatcher(queue);
+  t.after(() => dispatcher.close());
+  const job = { id: 'job-2', status: 'failed', callbackUrl: 'https://hooks.example.com/' };
+  queue.jobs.set(job.id, job);
+  queue.jobs.set('job-3', { id: 'job-3', status: 'running', callbackUrl: 'https://hooks.example.com/' });
+
+  dispatcher.resume();
+  assert.equal(job.webhook.state, 'pending');
+  assert.equal(queue.jobs.get('job-3').webhook, undefined);
+  assert.equal(dispatcher.timers.size, 1);
+});